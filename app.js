@@ -1,9 +1,44 @@
 // Teen Patti Pool Game with WebSocket Support
+const VARIANT_NAMES = {
+    classic: 'Classic',
+    muflis: 'Muflis',
+    ak47: 'AK47',
+    joker: 'Joker',
+    lowestJoker: 'Lowest Joker'
+};
+
+const LOG_TYPE_NAMES = {
+    bid: 'Bids',
+    see: 'Seen / blind',
+    pack: 'Packs',
+    boot: 'Boot',
+    sideShow: 'Side shows',
+    show: 'Shows',
+    win: 'Wins',
+    undo: 'Undo',
+    turn: 'Turn changes',
+    round: 'Rounds',
+    seat: 'Seating',
+    cards: 'Cards',
+    timeout: 'Timeouts',
+    rebuy: 'Rebuys / top-ups',
+    room: 'Joins / leaves',
+    info: 'Other'
+};
+
 class TeenPattiPool {
     constructor() {
         this.socket = null;
         this.currentRoom = null;
         this.currentPlayer = null;
+        this.sessionToken = null;
+        this.myCards = null;
+        this.dealCommitments = {};
+        this.logHistory = { entries: [], hasMore: false };
+        this.pendingRoundSummary = null;
+        this.settlementShown = false;
+        this.replay = null;
+        this.showPotPicks = null;
         this.isConnected = false;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
@@ -56,13 +91,12 @@ class TeenPattiPool {
             this.reconnectAttempts = 0;
             this.showMessage('Connected to server', 'success');
             
-            // Try to rejoin room if we have previous room data
-            if (this.currentRoom && this.currentPlayer) {
+            // Try to rejoin room if we have previous room data; the session token proves the seat is ours
+            if (this.currentRoom && this.sessionToken) {
                 console.log('Attempting to rejoin room:', this.currentRoom.code);
                 this.socket.emit('rejoinRoom', {
                     roomCode: this.currentRoom.code,
-                    playerId: this.currentPlayer.id,
-                    playerName: this.currentPlayer.name
+                    sessionToken: this.sessionToken
                 });
             }
         });
@@ -89,8 +123,9 @@ class TeenPattiPool {
         // Room creation response
         this.socket.on('roomCreated', (data) => {
             if (data.success) {
-                this.currentRoom = data.room;
+                this.setLiveRoom(data.room);
                 this.currentPlayer = data.player;
+                this.sessionToken = data.sessionToken;
                 this.saveState();
                 this.showMessage(`Room ${data.roomCode} created successfully!`, 'success');
                 setTimeout(() => {
@@ -103,8 +138,9 @@ class TeenPattiPool {
         this.socket.on('roomJoined', (data) => {
             if (data.success) {
                 console.log('Room joined successfully:', data);
-                this.currentRoom = data.room;
+                this.setLiveRoom(data.room);
                 this.currentPlayer = data.player;
+                this.sessionToken = data.sessionToken;
                 this.saveState();
                 this.showMessage(`Successfully joined room!`, 'success');
                 
@@ -119,14 +155,20 @@ class TeenPattiPool {
         this.socket.on('roomRejoined', (data) => {
             if (data.success) {
                 console.log('Successfully rejoined room');
-                this.currentRoom = data.room;
+                this.setLiveRoom(data.room);
                 // Update current player data
-                this.currentPlayer = data.room.players.find(p => p.id === this.currentPlayer.id);
+                this.currentPlayer = data.player;
                 this.saveState();
                 this.showMessage('Rejoined room successfully', 'success');
                 if (window.location.pathname.includes('lobby.html')) {
                     this.updateLobbyUI();
                 }
+
+                // Bring the UPI ID saved in this browser into the room
+                const savedUpiId = localStorage.getItem('upiId');
+                if (savedUpiId && this.currentPlayer && this.currentPlayer.upiId !== savedUpiId) {
+                    this.socket.emit('setUpiId', { upiId: savedUpiId });
+                }
             } else {
                 console.log('Failed to rejoin room:', data.message);
                 this.clearState();
@@ -139,10 +181,9 @@ class TeenPattiPool {
             }
         });
 
-        // Room updates
+        // Room updates (kept aside while the replay viewer shows an earlier table)
         this.socket.on('roomUpdate', (room) => {
-            this.currentRoom = room;
-            if (window.location.pathname.includes('lobby.html')) {
+            if (this.setLiveRoom(room) && window.location.pathname.includes('lobby.html')) {
                 this.updateLobbyUI();
             }
         });
@@ -151,7 +192,7 @@ class TeenPattiPool {
         this.socket.on('bidPlaced', (data) => {
             if (data.success) {
                 // Trigger bid animation
-                this.animateBidToPool(data.amount, data.player);
+                this.animateBidToPool(data.amount, data.allIn ? `${data.player} (all-in)` : data.player);
                 
                 // Clear bid input if it's the current player
                 const bidInput = document.getElementById('bidAmount');
@@ -161,6 +202,52 @@ class TeenPattiPool {
             }
         });
 
+        // Player saw their cards
+        this.socket.on('cardsSeen', (data) => {
+            if (data.success) {
+                this.showMessage(`${data.player} saw their cards`, 'info');
+            }
+        });
+
+        // Side show requested
+        this.socket.on('sideShowRequested', (data) => {
+            if (data.success) {
+                this.showMessage(`${data.requester} asked ${data.target} for a side show`, 'info');
+            }
+        });
+
+        // Side show accepted
+        this.socket.on('sideShowAccepted', (data) => {
+            if (data.success) {
+                this.showMessage(`${data.target} accepted the side show from ${data.requester}`, 'info');
+            }
+        });
+
+        // Side show resolved (declined, timed out or result recorded)
+        this.socket.on('sideShowResolved', (data) => {
+            if (!data.success) return;
+
+            if (data.accepted) {
+                this.showMessage(`${data.winner} won the side show, ${data.loser} packed`, 'success');
+            } else if (data.timedOut) {
+                this.showMessage(`Side show request to ${data.target} timed out`, 'info');
+            } else {
+                this.showMessage(`${data.target} declined the side show`, 'info');
+            }
+        });
+
+        // Show requested
+        this.socket.on('showRequested', (data) => {
+            if (!data.success) return;
+
+            if (data.forced) {
+                const reason = data.reason === 'allIn' ? 'No one left to bet against' : 'Pot limit reached';
+                this.showMessage(`${reason}! Forced show between ${data.players.join(', ')}`, 'info');
+            } else {
+                this.showMessage(`${data.requester} asked ${data.opponent} for a show`, 'info');
+            }
+        });
+
         // Player packed
         this.socket.on('playerPacked', (data) => {
             if (data.success) {
@@ -191,11 +278,170 @@ class TeenPattiPool {
             }
         });
 
+        // New hands dealt (face down until the player chooses to see them)
+        this.socket.on('cardsDealt', (data) => {
+            if (data.success) {
+                // Remember the fingerprint as published, before any cards were revealed
+                this.dealCommitments[data.dealNumber] = data.commitment;
+                this.myCards = null;
+                if (this.currentRoom) {
+                    this.updateMyCards();
+                }
+            }
+        });
+
+        // Own hand, sent only to this socket
+        this.socket.on('yourCards', (data) => {
+            if (data.success) {
+                this.myCards = data;
+                if (this.currentRoom) {
+                    this.updateMyCards();
+                }
+            }
+        });
+
+        // Seats rearranged by the host
+        this.socket.on('seatsRearranged', (data) => {
+            if (data.success) {
+                if (this.setLiveRoom(data.room)) {
+                    this.renderSeatList();
+                }
+                this.showMessage(`${data.changedBy} rearranged the seats`, 'info');
+            }
+        });
+
+        // Variant changed by the host
+        this.socket.on('variantChanged', (data) => {
+            if (data.success) {
+                this.showMessage(`${data.changedBy} switched the game to ${data.variant}`, 'info');
+            }
+        });
+
+        // A stored round summary reopened from the log
+        this.socket.on('roundSummary', (data) => {
+            if (data.success) {
+                this.showRoundSummaryModal(data.summary);
+            }
+        });
+
+        // A page of log history for the history view
+        this.socket.on('gameLogPage', (data) => {
+            if (data.success) {
+                this.receiveLogPage(data);
+            }
+        });
+
+        // Session steps for the replay viewer
+        this.socket.on('replayTimeline', (data) => {
+            if (data.success) {
+                this.startReplay(data.steps);
+            }
+        });
+
+        // The table as it stood after one replay step
+        this.socket.on('replayFrame', (data) => {
+            if (data.success) {
+                this.showReplayFrame(data);
+            }
+        });
+
+        // Compared hands from a show or side show
+        this.socket.on('showdown', (data) => {
+            if (data.success) {
+                this.showShowdownModal(data);
+            }
+        });
+
+        // Turn clock ran out
+        this.socket.on('turnTimedOut', (data) => {
+            if (data.success) {
+                const message = data.action === 'blind'
+                    ? `⏰ ${data.player} ran out of time and played blind ₹${data.amount}`
+                    : `⏰ ${data.player} ran out of time and was packed`;
+                this.showMessage(message, 'info');
+            }
+        });
+
+        // Undo requested (host gets the approval prompt via roomUpdate)
+        this.socket.on('undoRequested', (data) => {
+            if (data.success) {
+                this.showMessage(`${data.requestedBy} asked to undo: ${data.description}`, 'info');
+            }
+        });
+
+        // Undo rejected
+        this.socket.on('undoRejected', (data) => {
+            if (data.success) {
+                this.showMessage(`${data.rejectedBy} rejected the undo of: ${data.description}`, 'info');
+            }
+        });
+
+        // Rebuy or top-up waiting for the host
+        this.socket.on('rebuyRequested', (data) => {
+            if (data.success) {
+                this.showMessage(`${data.request.playerName} asked for a ₹${data.request.amount} ${data.request.kind}`, 'info');
+            }
+        });
+
+        this.socket.on('rebuyApproved', (data) => {
+            if (data.success) {
+                this.showMessage(`💰 ${data.player} added ₹${data.amount} (total buy-in ₹${data.buyIn})`, 'success');
+            }
+        });
+
+        this.socket.on('rebuyRejected', (data) => {
+            if (data.success) {
+                this.showMessage(`${data.rejectedBy} rejected ${data.player}'s ₹${data.amount} request`, 'info');
+            }
+        });
+
+        // Action undone
+        this.socket.on('actionUndone', (data) => {
+            if (data.success) {
+                this.showMessage(`↩️ Undid "${data.description}" (approved by ${data.approvedBy})`, 'success');
+            }
+        });
+
+        // UPI ID stored on the server; remember it in this browser for future tables
+        this.socket.on('upiIdSaved', (data) => {
+            if (data.success) {
+                if (data.upiId) {
+                    localStorage.setItem('upiId', data.upiId);
+                } else {
+                    localStorage.removeItem('upiId');
+                }
+                this.showMessage(data.upiId ? 'UPI ID saved' : 'UPI ID removed', 'success');
+            }
+        });
+
+        // Host closed the table; the settlement opens from updateLobbyUI
+        this.socket.on('tableClosed', (data) => {
+            if (data.success) {
+                this.showMessage(`${data.settlement.closedBy} closed the table`, 'info');
+            }
+        });
+
+        // Round cancelled
+        this.socket.on('roundCancelled', (data) => {
+            if (data.success) {
+                const breakdown = data.refunds.map(r => `${r.name} ₹${r.amount}`).join(', ');
+                this.showMessage(`Round cancelled by ${data.cancelledBy}. Refunded: ${breakdown || 'nothing'}`, 'info');
+            }
+        });
+
         // Winner declared
         this.socket.on('winnerDeclared', (data) => {
             if (data.success) {
-                this.showMessage(`🏆 ${data.winner.name} won ₹${data.winner.amount}!`, 'success');
-                this.showWinnerDeclaredModal(data.winner, data.declaredBy);
+                const names = data.winners.map(w => w.name).join(' & ');
+                this.showMessage(`🏆 ${names} won ₹${data.amount}!`, 'success');
+
+                // The round summary follows once the result modal is closed
+                this.pendingRoundSummary = data.summary || null;
+
+                // Card showdowns already opened the result modal with the hands
+                if (!data.showdown) {
+                    this.showWinnerDeclaredModal(data.winners, data.amount, data.declaredBy);
+                }
             }
         });
 
@@ -224,7 +470,7 @@ class TeenPattiPool {
     }
 
     // Room Management
-    createRoom(creatorName, startingBalance) {
+    createRoom(creatorName, startingBalance, baseStake, bootAmount, potLimit, maxBlinds, turnTimeLimit, timeoutAction, digitalCards, variant) {
         if (!creatorName.trim()) {
             this.showMessage('Please enter your name', 'error');
             return false;
@@ -237,7 +483,15 @@ class TeenPattiPool {
 
         this.socket.emit('createRoom', {
             creatorName: creatorName.trim(),
-            startingBalance: parseInt(startingBalance) || 1000
+            startingBalance: parseInt(startingBalance) || 1000,
+            baseStake: parseInt(baseStake) || 10,
+            bootAmount: parseInt(bootAmount) || 0,
+            potLimit: parseInt(potLimit) || 0,
+            maxBlinds: parseInt(maxBlinds) || 0,
+            turnTimeLimit: parseInt(turnTimeLimit) || 0,
+            timeoutAction: timeoutAction,
+            digitalCards: !!digitalCards,
+            variant: variant
         });
 
         return true;
@@ -295,6 +549,12 @@ class TeenPattiPool {
             return false;
         }
 
+        const limits = this.getBidLimits();
+        if (amount < limits.min || amount > limits.max) {
+            this.showMessage(`${this.currentPlayer.seen ? 'Seen' : 'Blind'} bet must be between ₹${limits.min} and ₹${limits.max}`, 'error');
+            return false;
+        }
+
         if (amount > this.currentPlayer.balance) {
             this.showMessage('Insufficient balance!', 'error');
             return false;
@@ -311,6 +571,32 @@ class TeenPattiPool {
         return true;
     }
 
+    // Blind players bet 1x-2x the current stake, seen players 2x-4x
+    getBidLimits() {
+        const multiplier = this.currentPlayer.seen ? 2 : 1;
+        return {
+            min: this.currentRoom.currentStake * multiplier,
+            max: this.currentRoom.currentStake * multiplier * 2
+        };
+    }
+
+    seeCards() {
+        if (!this.currentRoom || !this.currentPlayer) return false;
+
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return false;
+        }
+
+        if (this.currentPlayer.seen) {
+            this.showMessage('You have already seen your cards', 'error');
+            return false;
+        }
+
+        this.socket.emit('seeCards');
+        return true;
+    }
+
     packCards() {
         if (!this.currentRoom || !this.currentPlayer) return false;
 
@@ -336,138 +622,397 @@ class TeenPattiPool {
         return true;
     }
 
-    resetPool() {
-        if (!this.currentRoom || !this.currentPlayer || !this.currentPlayer.isCreator) {
-            this.showMessage('Only the room creator can reset the pool', 'error');
-            return;
+    goAllIn() {
+        if (!this.currentRoom || !this.currentPlayer) return false;
+
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return false;
+        }
+
+        if (this.currentPlayer.balance <= 0 || this.currentPlayer.balance >= this.getBidLimits().min) {
+            this.showMessage('All-in is only for players who cannot cover the stake', 'error');
+            return false;
         }
 
+        this.socket.emit('goAllIn');
+        return true;
+    }
+
+    requestSideShow() {
+        if (!this.currentRoom || !this.currentPlayer) return false;
+
         if (!this.isConnected) {
             this.showMessage('Not connected to server', 'error');
-            return;
+            return false;
         }
 
-        this.socket.emit('resetPool');
+        if (!this.currentPlayer.seen) {
+            this.showMessage('Only seen players can ask for a side show', 'error');
+            return false;
+        }
+
+        this.socket.emit('requestSideShow');
+        return true;
     }
 
-    removePlayer(playerId) {
-        if (!this.currentRoom || !this.currentPlayer || !this.currentPlayer.isCreator) {
-            this.showMessage('Only the host can remove players', 'error');
+    respondSideShow(accept) {
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
             return;
         }
 
+        this.socket.emit('respondSideShow', { accept: accept });
+    }
+
+    resolveSideShow(loserId) {
         if (!this.isConnected) {
             this.showMessage('Not connected to server', 'error');
             return;
         }
 
-        this.socket.emit('removePlayer', { playerIdToRemove: playerId });
+        this.socket.emit('resolveSideShow', { loserId: loserId });
     }
 
-    declareWinner(winnerId) {
-        if (!this.currentRoom || !this.currentPlayer || !this.currentPlayer.isCreator) {
-            this.showMessage('Only the host can declare a winner', 'error');
-            return;
+    requestShow() {
+        if (!this.currentRoom || !this.currentPlayer) return false;
+
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return false;
+        }
+
+        if (this.currentRoom.players.filter(p => !p.packed).length !== 2) {
+            this.showMessage('A show is only allowed when two players remain', 'error');
+            return false;
         }
 
+        this.socket.emit('requestShow');
+        return true;
+    }
+
+    resolveShow(winnerId) {
         if (!this.isConnected) {
             this.showMessage('Not connected to server', 'error');
             return;
         }
 
-        if (this.currentRoom.pool <= 0) {
-            this.showMessage('Pool is empty. No winnings to distribute.', 'error');
+        this.socket.emit('resolveShow', { winnerId: winnerId });
+    }
+
+    pickShowPotWinner(potIndex, winnerId) {
+        if (!this.showPotPicks) return;
+
+        this.showPotPicks[potIndex] = winnerId;
+        this.updateShowModal();
+    }
+
+    resolveShowPots() {
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
             return;
         }
 
-        this.socket.emit('declareWinner', { winnerId: winnerId });
+        this.socket.emit('resolveShow', { potWinnerIds: this.showPotPicks });
     }
 
-    showWinnerSelectionModal() {
+    resetPool() {
         if (!this.currentRoom || !this.currentPlayer || !this.currentPlayer.isCreator) {
-            this.showMessage('Only the host can declare a winner', 'error');
+            this.showMessage('Only the room creator can reset the pool', 'error');
             return;
         }
 
-        if (this.currentRoom.pool <= 0) {
-            this.showMessage('Pool is empty. No winnings to distribute.', 'error');
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
             return;
         }
 
-        const modal = document.getElementById('winnerSelectionModal');
-        if (modal) {
-            // Populate player list
-            const playersList = document.getElementById('winnerPlayersList');
-            if (playersList) {
-                playersList.innerHTML = '';
-                this.currentRoom.players.forEach(player => {
-                    const playerOption = document.createElement('div');
-                    playerOption.className = 'p-3 bg-gray-50 hover:bg-gray-100 rounded-lg cursor-pointer transition-colors flex justify-between items-center';
-                    playerOption.onclick = () => this.selectWinner(player.id, player.name);
-                    
-                    playerOption.innerHTML = `
-                        <div>
-                            <h4 class="font-semibold text-gray-800">${player.name}</h4>
-                            <p class="text-sm text-gray-600">Balance: ₹${player.balance}</p>
-                        </div>
-                        <div class="text-2xl"><i class="fas fa-crown text-yellow-500"></i></div>
-                    `;
-                    
-                    playersList.appendChild(playerOption);
-                });
-            }
-            
-            // Update pool amount
-            const poolAmountSpan = document.getElementById('modalPoolAmount');
-            if (poolAmountSpan) {
-                poolAmountSpan.textContent = this.currentRoom.pool;
-            }
-            
-            modal.style.display = 'flex';
-        }
+        this.socket.emit('resetPool');
     }
 
-    selectWinner(winnerId, winnerName) {
-        if (confirm(`Declare ${winnerName} as the winner and give them ₹${this.currentRoom.pool}?`)) {
-            this.declareWinner(winnerId);
-            this.closeWinnerSelectionModal();
+    setVariant(variant) {
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return;
         }
+
+        this.socket.emit('setVariant', { variant: variant });
     }
 
-    closeWinnerSelectionModal() {
-        const modal = document.getElementById('winnerSelectionModal');
-        if (modal) {
-            modal.style.display = 'none';
+    requestUndo() {
+        if (!this.currentRoom || !this.currentPlayer) return;
+
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return;
         }
+
+        this.socket.emit('requestUndo');
     }
 
-    // UI Management
-    initLobby() {
-        console.log('Initializing lobby...');
-        
-        // Get room code from URL
-        const urlParams = new URLSearchParams(window.location.search);
-        const roomCode = urlParams.get('room');
-        
-        console.log('Room code from URL:', roomCode);
-        
-        if (!roomCode) {
-            console.log('No room code found, redirecting to home');
-            window.location.href = 'index.html';
+    respondUndo(approve) {
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
             return;
         }
-        
-        if (roomCode) {
-            // Display room code immediately
-            const roomCodeDisplay = document.getElementById('roomCodeDisplay');
-            if (roomCodeDisplay) {
-                roomCodeDisplay.textContent = roomCode;
-            }
-        }
 
-        // If we don't have current room/player data, try to use saved state
-        if (!this.currentRoom || !this.currentPlayer) {
-            console.log('No room/player data, checking saved state...');
+        this.socket.emit('respondUndo', { approve: approve });
+    }
+
+    requestRebuy(amount) {
+        if (!this.currentRoom || !this.currentPlayer) return;
+
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return;
+        }
+
+        if (!amount || amount <= 0) {
+            this.showMessage('Please enter a valid rebuy amount', 'error');
+            return;
+        }
+
+        this.socket.emit('requestRebuy', { amount: amount });
+    }
+
+    respondRebuy(approve) {
+        const request = this.currentRoom && (this.currentRoom.pendingRebuys || [])[0];
+        if (!request) return;
+
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return;
+        }
+
+        this.socket.emit('respondRebuy', { requestId: request.id, approve: approve });
+    }
+
+    cancelRound() {
+        if (!this.currentRoom || !this.currentPlayer || !this.currentPlayer.isCreator) {
+            this.showMessage('Only the host can cancel the round', 'error');
+            return;
+        }
+
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return;
+        }
+
+        if (this.currentRoom.pool <= 0) {
+            this.showMessage('Pool is empty. Nothing to refund.', 'error');
+            return;
+        }
+
+        this.socket.emit('cancelRound');
+    }
+
+    closeTable() {
+        if (!this.currentRoom || !this.currentPlayer || !this.currentPlayer.isCreator) {
+            this.showMessage('Only the host can close the table', 'error');
+            return;
+        }
+
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return;
+        }
+
+        this.socket.emit('closeTable');
+    }
+
+    removePlayer(playerId) {
+        if (!this.currentRoom || !this.currentPlayer || !this.currentPlayer.isCreator) {
+            this.showMessage('Only the host can remove players', 'error');
+            return;
+        }
+
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return;
+        }
+
+        this.socket.emit('removePlayer', { playerIdToRemove: playerId });
+    }
+
+    declareWinner(winnerIds, potWinnerIds) {
+        if (!this.currentRoom || !this.currentPlayer || !this.currentPlayer.isCreator) {
+            this.showMessage('Only the host can declare a winner', 'error');
+            return;
+        }
+
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return;
+        }
+
+        if (this.currentRoom.pool <= 0) {
+            this.showMessage('Pool is empty. No winnings to distribute.', 'error');
+            return;
+        }
+
+        this.socket.emit('declareWinner', { winnerIds: winnerIds, potWinnerIds: potWinnerIds });
+    }
+
+    showWinnerSelectionModal() {
+        if (!this.currentRoom || !this.currentPlayer || !this.currentPlayer.isCreator) {
+            this.showMessage('Only the host can declare a winner', 'error');
+            return;
+        }
+
+        if (this.currentRoom.pool <= 0) {
+            this.showMessage('Pool is empty. No winnings to distribute.', 'error');
+            return;
+        }
+
+        const modal = document.getElementById('winnerSelectionModal');
+        if (modal) {
+            // Populate player list per pot (several players can be picked to split a pot)
+            const pots = this.getPots();
+            this.selectedWinnerIds = pots.map(() => []);
+            const playersList = document.getElementById('winnerPlayersList');
+            if (playersList) {
+                playersList.innerHTML = '';
+                pots.forEach((pot, potIndex) => {
+                    if (pots.length > 1) {
+                        const potHeader = document.createElement('h3');
+                        potHeader.className = 'font-bold themed-text-primary text-left pt-2';
+                        potHeader.textContent = `${pot.name} - ₹${pot.amount}`;
+                        playersList.appendChild(potHeader);
+                    }
+
+                    this.currentRoom.players.filter(p => pot.eligibleIds.includes(p.id)).forEach(player => {
+                        const playerOption = document.createElement('div');
+                        playerOption.className = 'p-3 bg-gray-50 hover:bg-gray-100 rounded-lg cursor-pointer transition-colors flex justify-between items-center';
+                        playerOption.onclick = () => this.toggleWinnerSelection(potIndex, player.id, playerOption);
+                        
+                        playerOption.innerHTML = `
+                            <div>
+                                <h4 class="font-semibold text-gray-800">${this.escapeHtml(player.name)}${player.allIn ? ' <span class="text-xs text-red-500">ALL IN</span>' : ''}</h4>
+                                <p class="text-sm text-gray-600">Balance: ₹${player.balance}</p>
+                            </div>
+                            <div class="text-2xl"><i class="fas fa-crown text-gray-300"></i></div>
+                        `;
+                        
+                        playersList.appendChild(playerOption);
+                    });
+                });
+            }
+            this.updateWinnerSelectionSummary();
+            
+            // Update pool amount
+            const poolAmountSpan = document.getElementById('modalPoolAmount');
+            if (poolAmountSpan) {
+                poolAmountSpan.textContent = this.currentRoom.pool;
+            }
+            
+            modal.style.display = 'flex';
+        }
+    }
+
+    // The server's pot breakdown says who may win each pot; before the first bet there is none yet
+    getPots() {
+        const room = this.currentRoom;
+        if (room.pots && room.pots.length > 0) {
+            return room.pots;
+        }
+
+        return [{ name: 'Main pot', amount: room.pool, eligibleIds: room.players.map(p => p.id) }];
+    }
+
+    toggleWinnerSelection(potIndex, winnerId, playerOption) {
+        const selected = this.selectedWinnerIds[potIndex];
+        const index = selected.indexOf(winnerId);
+        if (index === -1) {
+            selected.push(winnerId);
+        } else {
+            selected.splice(index, 1);
+        }
+
+        const isSelected = index === -1;
+        playerOption.classList.toggle('ring-2', isSelected);
+        playerOption.classList.toggle('ring-yellow-400', isSelected);
+        const crown = playerOption.querySelector('.fa-crown');
+        if (crown) {
+            crown.classList.toggle('text-yellow-500', isSelected);
+            crown.classList.toggle('text-gray-300', !isSelected);
+        }
+
+        this.updateWinnerSelectionSummary();
+    }
+
+    updateWinnerSelectionSummary() {
+        const summary = document.getElementById('winnerSelectionSummary');
+        const confirmButton = document.getElementById('confirmWinnersButton');
+        const allPotsPicked = this.selectedWinnerIds.every(ids => ids.length > 0);
+
+        if (summary) {
+            if (this.selectedWinnerIds.length > 1) {
+                summary.textContent = allPotsPicked ? 'Every pot has a winner' : 'Select the winner(s) of every pot';
+            } else {
+                const count = this.selectedWinnerIds[0].length;
+                summary.textContent = count > 1
+                    ? `Split ₹${this.currentRoom.pool} between ${count} players (about ₹${Math.floor(this.currentRoom.pool / count)} each)`
+                    : count === 1 ? `Winner takes ₹${this.currentRoom.pool}` : 'Select one winner, or several to split the pool';
+            }
+        }
+
+        if (confirmButton) {
+            confirmButton.disabled = !allPotsPicked;
+        }
+    }
+
+    confirmWinnerSelection() {
+        if (!this.selectedWinnerIds || !this.selectedWinnerIds.every(ids => ids.length > 0)) {
+            this.showMessage('Select at least one winner for every pot', 'error');
+            return;
+        }
+
+        const allWinnerIds = [...new Set(this.selectedWinnerIds.flat())];
+        const names = this.currentRoom.players
+            .filter(p => allWinnerIds.includes(p.id))
+            .map(p => p.name)
+            .join(' & ');
+
+        if (confirm(`Declare ${names} as the winner(s) of ₹${this.currentRoom.pool}?`)) {
+            this.declareWinner(this.selectedWinnerIds[0], this.selectedWinnerIds);
+            this.closeWinnerSelectionModal();
+        }
+    }
+
+    closeWinnerSelectionModal() {
+        const modal = document.getElementById('winnerSelectionModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    // UI Management
+    initLobby() {
+        console.log('Initializing lobby...');
+        
+        // Get room code from URL
+        const urlParams = new URLSearchParams(window.location.search);
+        const roomCode = urlParams.get('room');
+        
+        console.log('Room code from URL:', roomCode);
+        
+        if (!roomCode) {
+            console.log('No room code found, redirecting to home');
+            window.location.href = 'index.html';
+            return;
+        }
+        
+        if (roomCode) {
+            // Display room code immediately
+            const roomCodeDisplay = document.getElementById('roomCodeDisplay');
+            if (roomCodeDisplay) {
+                roomCodeDisplay.textContent = roomCode;
+            }
+        }
+
+        // If we don't have current room/player data, try to use saved state
+        if (!this.currentRoom || !this.currentPlayer) {
+            console.log('No room/player data, checking saved state...');
             this.loadState();
         }
 
@@ -507,7 +1052,8 @@ class TeenPattiPool {
     }
 
     updateLobbyUI() {
-        if (!this.currentRoom) return;
+        // The replay viewer owns the table until it is closed
+        if (!this.currentRoom || this.replay) return;
 
         const room = this.currentRoom;
         
@@ -517,22 +1063,12 @@ class TeenPattiPool {
             roomCodeDisplay.textContent = room.code;
         }
 
-        // Update pool amount
-        const poolAmount = document.getElementById('poolAmount');
-        if (poolAmount) {
-            poolAmount.textContent = `₹${room.pool}`;
-        }
+        this.updatePoolDisplay();
 
-        // Update round number
-        const roundNumber = document.getElementById('roundNumber');
-        if (roundNumber) {
-            roundNumber.textContent = room.round;
-        }
-
-        // Update total bids
-        const totalBids = document.getElementById('totalBids');
-        if (totalBids) {
-            totalBids.textContent = room.totalBids;
+        const variantSelect = document.getElementById('variantSelect');
+        if (variantSelect) {
+            variantSelect.value = room.variant;
+            variantSelect.disabled = room.totalBids > 0;
         }
 
         // Update current player data
@@ -553,6 +1089,271 @@ class TeenPattiPool {
         
         // Update game log
         this.updateGameLog();
+
+        // Update side show prompt
+        this.updateSideShowModal();
+
+        // Update show result screen
+        this.updateShowModal();
+
+        // Update undo button and approval prompt
+        this.updateUndoControls();
+
+        // Update the settle-up screen once the table is closed
+        this.updateSettlementControls();
+
+        // Update rebuy button and the host's approval prompt
+        this.updateRebuyControls();
+
+        // Update turn countdown
+        this.updateTurnTimer();
+
+        // Update own hand
+        this.updateMyCards();
+    }
+
+    // Pool, round and stake details in the middle of the table
+    updatePoolDisplay() {
+        const room = this.currentRoom;
+
+        // Update pool amount
+        const poolAmount = document.getElementById('poolAmount');
+        if (poolAmount) {
+            poolAmount.textContent = `₹${room.pool}`;
+        }
+
+        // Update round number
+        const roundNumber = document.getElementById('roundNumber');
+        if (roundNumber) {
+            roundNumber.textContent = room.round;
+        }
+
+        // Update variant and this round's wild cards
+        const variantName = document.getElementById('variantName');
+        if (variantName) {
+            variantName.textContent = VARIANT_NAMES[room.variant] || 'Classic';
+        }
+
+        const jokerInfo = document.getElementById('jokerInfo');
+        if (jokerInfo) {
+            const wildText = {
+                ak47: 'A, K, 4, 7',
+                joker: room.jokerCard ? `${room.jokerRank}s (${room.jokerCard.rank}${room.jokerCard.suit} turned up)` : `${room.jokerRank}s`,
+                lowestJoker: 'lowest card'
+            }[room.variant];
+            jokerInfo.style.display = wildText ? 'block' : 'none';
+            document.getElementById('jokerRank').textContent = wildText || '';
+        }
+
+        // Update total bids
+        const totalBids = document.getElementById('totalBids');
+        if (totalBids) {
+            totalBids.textContent = room.totalBids;
+        }
+
+        // Update boot amount
+        const bootAmount = document.getElementById('bootAmount');
+        if (bootAmount) {
+            bootAmount.textContent = room.bootAmount || 0;
+        }
+
+        // Update pot breakdown (only when side pots exist)
+        const potsBreakdown = document.getElementById('potsBreakdown');
+        if (potsBreakdown) {
+            const pots = room.pots || [];
+            potsBreakdown.style.display = pots.length > 1 ? 'block' : 'none';
+            potsBreakdown.innerHTML = pots.length > 1
+                ? pots.map(pot => `<div>${pot.name}: ₹${pot.amount}</div>`).join('')
+                : '';
+        }
+
+        // Update pot limit
+        const potLimitInfo = document.getElementById('potLimitInfo');
+        const potLimit = document.getElementById('potLimit');
+        if (potLimitInfo && potLimit) {
+            potLimitInfo.style.display = room.potLimit ? 'block' : 'none';
+            potLimit.textContent = room.potLimit;
+        }
+    }
+
+    updateMyCards() {
+        const area = document.getElementById('myCardsArea');
+        const container = document.getElementById('myCards');
+        const hint = document.getElementById('myCardsHint');
+        if (!area || !container) return;
+
+        const room = this.currentRoom;
+        if (this.replay) return;
+        if (!room.digitalCards) {
+            area.style.display = 'none';
+            return;
+        }
+        area.style.display = 'block';
+
+        const dealCommitment = document.getElementById('dealCommitment');
+        if (dealCommitment) {
+            dealCommitment.textContent = room.dealCommitment ? `Deck fingerprint: ${room.dealCommitment}` : '';
+        }
+
+        // Drop a hand from a previous deal
+        if (this.myCards && this.myCards.dealNumber !== room.dealNumber) {
+            this.myCards = null;
+        }
+
+        // Our own hand also comes with our private view of the room
+        if (!this.myCards && room.you && room.you.hand && room.you.hand.dealNumber === room.dealNumber) {
+            this.myCards = room.you.hand;
+        }
+
+        if (this.myCards) {
+            container.innerHTML = this.myCards.cards.map(card => this.renderCard(card)).join('');
+            hint.textContent = this.currentPlayer.packed ? 'Packed' : 'Seen';
+        } else if (this.currentPlayer.packed) {
+            container.innerHTML = '';
+            hint.textContent = this.currentPlayer.sittingOut ? 'Sitting out this round' : 'Packed';
+        } else {
+            container.innerHTML = Array.from({ length: 3 }, () => `
+                <button onclick="seeCards()" class="w-14 h-20 rounded-lg shadow-md border-2 border-white bg-gradient-to-br from-red-700 to-red-900 flex items-center justify-center">
+                    <i class="fas fa-eye text-white opacity-60"></i>
+                </button>
+            `).join('');
+            hint.textContent = 'Blind - tap to see your cards';
+        }
+    }
+
+    renderCard(card) {
+        const isRed = card.suit === '♥' || card.suit === '♦';
+        return `
+            <div class="w-14 h-20 rounded-lg shadow-md border border-gray-300 bg-white flex flex-col items-center justify-center ${isRed ? 'text-red-600' : 'text-gray-900'}">
+                <span class="text-lg font-bold leading-none">${card.rank}</span>
+                <span class="text-xl leading-none">${card.suit}</span>
+            </div>
+        `;
+    }
+
+    updateTurnTimer() {
+        const timer = this.currentRoom.turnTimer;
+
+        if (!timer) {
+            this.stopTurnTimer();
+            return;
+        }
+
+        // Same turn as before, the running countdown is still correct
+        if (this.turnTimerKey === timer.key) return;
+
+        this.stopTurnTimer();
+        this.turnTimerKey = timer.key;
+
+        // Never count from more than the full limit, in case this device's clock is behind
+        const duration = timer.expiresAt - timer.startedAt;
+        const deadline = Math.min(timer.expiresAt, Date.now() + duration);
+
+        const ring = document.getElementById('turnTimerRing');
+        const arc = document.getElementById('turnTimerArc');
+        const info = document.getElementById('turnTimerInfo');
+        const seconds = document.getElementById('turnTimerSeconds');
+
+        const tick = () => {
+            const remaining = Math.max(deadline - Date.now(), 0);
+            const fraction = remaining / duration;
+
+            if (arc) {
+                arc.setAttribute('stroke-dashoffset', (100 - fraction * 100).toFixed(2));
+                arc.setAttribute('stroke', fraction > 0.5 ? '#22c55e' : fraction > 0.2 ? '#eab308' : '#ef4444');
+            }
+            if (seconds) {
+                seconds.textContent = Math.ceil(remaining / 1000);
+            }
+            if (remaining === 0) {
+                clearInterval(this.turnTimerInterval);
+                this.turnTimerInterval = null;
+            }
+        };
+
+        if (ring) ring.style.display = 'block';
+        if (info) info.style.display = 'block';
+        tick();
+        this.turnTimerInterval = setInterval(tick, 250);
+    }
+
+    stopTurnTimer() {
+        if (this.turnTimerInterval) {
+            clearInterval(this.turnTimerInterval);
+            this.turnTimerInterval = null;
+        }
+        this.turnTimerKey = null;
+
+        const ring = document.getElementById('turnTimerRing');
+        const info = document.getElementById('turnTimerInfo');
+        if (ring) ring.style.display = 'none';
+        if (info) info.style.display = 'none';
+    }
+
+    updateSettlementControls() {
+        const settlementButton = document.getElementById('settlementButton');
+        if (settlementButton) {
+            settlementButton.style.display = this.currentRoom.closed ? 'inline-block' : 'none';
+        }
+
+        if (!this.currentRoom.closed) return;
+
+        // Open the settlement once when the table closes (or when rejoining a closed table),
+        // and keep it current while open so newly saved UPI IDs show up
+        const modal = document.getElementById('settlementModal');
+        if (!this.settlementShown || (modal && modal.style.display !== 'none')) {
+            this.settlementShown = true;
+            this.showSettlementModal();
+        }
+    }
+
+    updateRebuyControls() {
+        const pendingRebuys = this.currentRoom.pendingRebuys || [];
+        const rebuyButton = document.getElementById('rebuyButton');
+        if (rebuyButton && this.currentPlayer) {
+            const waiting = pendingRebuys.some(request => request.playerId === this.currentPlayer.id);
+            rebuyButton.disabled = waiting;
+            rebuyButton.innerHTML = waiting
+                ? '<i class="fas fa-hourglass-half mr-1"></i>Waiting for host'
+                : `<i class="fas fa-plus-circle mr-1"></i>${this.currentPlayer.balance === 0 ? 'Rebuy' : 'Top up'}`;
+        }
+
+        const rebuyModal = document.getElementById('rebuyModal');
+        if (rebuyModal) {
+            const request = pendingRebuys[0];
+            if (request && this.currentPlayer.isCreator) {
+                document.getElementById('rebuyRequestedBy').textContent = request.playerName;
+                document.getElementById('rebuyKind').textContent = request.kind;
+                document.getElementById('rebuyAmount').textContent = request.amount;
+                rebuyModal.style.display = 'flex';
+            } else {
+                rebuyModal.style.display = 'none';
+            }
+        }
+    }
+
+    updateUndoControls() {
+        const undoButton = document.getElementById('undoButton');
+        const undoModal = document.getElementById('undoModal');
+        const undoStack = this.currentRoom.undoStack || [];
+        const lastAction = undoStack[undoStack.length - 1];
+
+        if (undoButton) {
+            undoButton.style.display = lastAction ? 'inline-block' : 'none';
+            undoButton.title = lastAction ? `Undo: ${lastAction.description}` : '';
+            undoButton.disabled = !!this.currentRoom.pendingUndo;
+        }
+
+        if (undoModal) {
+            const request = this.currentRoom.pendingUndo;
+            if (request && this.currentPlayer.isCreator) {
+                document.getElementById('undoRequestedBy').textContent = request.requestedBy;
+                document.getElementById('undoDescription').textContent = request.description;
+                undoModal.style.display = 'flex';
+            } else {
+                undoModal.style.display = 'none';
+            }
+        }
     }
 
     updatePlayersList() {
@@ -584,6 +1385,7 @@ class TeenPattiPool {
                 playerElement.style.left = `${x}px`;
                 playerElement.style.top = `${y}px`;
                 playerElement.style.transform = 'translate(-50%, -50%)';
+                playerElement.title = `${player.name}: ₹${player.balance} (bought in ₹${player.buyIn})`;
                 
                 const isCurrentTurn = this.currentRoom.currentTurn === index;
                 const isCurrentPlayer = player.id === this.currentPlayer?.id;
@@ -614,13 +1416,17 @@ class TeenPattiPool {
                              flex flex-col items-center justify-center text-white font-bold shadow-lg transition-all duration-300
                              ${isCurrentTurn && !player.packed ? 'scale-110 animate-pulse' : 'hover:scale-105'} ${player.packed ? 'opacity-70 grayscale' : ''}">
                             <div class="text-center px-1">
-                                <div class="${textSize} leading-tight font-semibold text-center">${player.name.substring(0, 4)}</div>
+                                <div class="${textSize} leading-tight font-semibold text-center">${this.escapeHtml(player.name.substring(0, 4))}</div>
                                 <div class="${balanceSize} font-bold text-yellow-100 text-center">₹${player.balance}</div>
                             </div>
                         </div>
                         
                         ${player.packed ? `<div class="absolute inset-0 flex items-center justify-center">
-                            <div class="bg-red-500 text-white text-[8px] px-1 py-0.5 rounded font-bold shadow-md border border-white">FOLDED</div>
+                            <div class="${player.sittingOut ? 'bg-gray-700' : 'bg-red-500'} text-white text-[8px] px-1 py-0.5 rounded font-bold shadow-md border border-white">${player.sittingOut ? 'SAT OUT' : 'FOLDED'}</div>
+                        </div>` : ''}
+                        
+                        ${!player.packed ? `<div class="absolute -top-0.5 -left-0.5 ${player.allIn ? 'bg-red-600' : player.seen ? 'bg-blue-500' : 'bg-gray-800'} text-white text-[7px] px-1 rounded font-bold shadow-md border border-white">
+                            ${player.allIn ? 'ALL IN' : player.seen ? 'SEEN' : 'BLIND'}
                         </div>` : ''}
                         
                         ${isCreator ? `<div class="absolute -top-0.5 -right-0.5 w-4 h-4 bg-yellow-400 rounded-full flex items-center justify-center shadow-md border border-white">
@@ -656,19 +1462,19 @@ class TeenPattiPool {
                         <div class="flex-1">
                             <div class="flex items-center justify-between">
                                 <h3 class="font-semibold text-gray-800">
-                                    ${player.name}
+                                    ${this.escapeHtml(player.name)}
                                     ${player.isCreator ? '<span class="text-xs bg-teen-patti-gold text-teen-patti-green px-2 py-1 rounded-full ml-2">HOST</span>' : ''}
                                     ${isCurrentPlayer ? '<span class="text-xs bg-blue-500 text-white px-2 py-1 rounded-full ml-2">YOU</span>' : ''}
                                 </h3>
                                 ${canRemove ? `
                                     <button onclick="removePlayer('${player.id}')" 
                                             class="ml-2 bg-red-500 hover:bg-red-600 text-white text-xs px-2 py-1 rounded transition-colors"
-                                            title="Remove ${player.name}">
+                                            title="Remove ${this.escapeHtml(player.name)}">
                                         <i class="fas fa-times"></i>
                                     </button>
                                 ` : ''}
                             </div>
-                            <p class="text-sm text-gray-600">Balance: ₹${player.balance}</p>
+                            <p class="text-sm text-gray-600">Balance: ₹${player.balance} · Buy-in: ₹${player.buyIn}</p>
                         </div>
                         ${isCurrentTurn ? '<div class="animate-pulse ml-2"><div class="w-3 h-3 bg-teen-patti-green rounded-full"></div></div>' : ''}
                     </div>
@@ -712,6 +1518,20 @@ class TeenPattiPool {
             playerElements[i].style.left = `${x}px`;
             playerElements[i].style.top = `${y}px`;
         }
+
+        // Place the dealer button between the dealer's seat and the pool
+        const dealerChip = document.getElementById('dealerChip');
+        if (dealerChip) {
+            const dealerIndex = players.findIndex(p => p.id === this.currentRoom.dealerId);
+            if (dealerIndex === -1 || players.length < 2) {
+                dealerChip.style.display = 'none';
+            } else {
+                const angle = (dealerIndex * 2 * Math.PI) / players.length - Math.PI / 2 + 0.35;
+                dealerChip.style.left = `${centerX + radius * 0.7 * Math.cos(angle)}px`;
+                dealerChip.style.top = `${centerY + radius * 0.7 * Math.sin(angle)}px`;
+                dealerChip.style.display = 'flex';
+            }
+        }
     }
 
     updateHostControls() {
@@ -740,6 +1560,11 @@ class TeenPattiPool {
         if (currentBalance && this.currentPlayer) {
             currentBalance.textContent = this.currentPlayer.balance || 0;
         }
+
+        const currentBuyIn = document.getElementById('currentBuyIn');
+        if (currentBuyIn && this.currentPlayer) {
+            currentBuyIn.textContent = this.currentPlayer.buyIn || this.currentRoom.startingBalance;
+        }
     }
 
     animateBidToPool(bidAmount, playerName) {
@@ -824,8 +1649,24 @@ class TeenPattiPool {
                 notYourTurn.innerHTML = `
                     <div class="text-center py-6">
                         <i class="fas fa-user-slash text-4xl text-red-400 mb-3"></i>
-                        <p class="text-red-500 text-xl font-bold">You are folded!</p>
-                        <p class="text-gray-500 text-sm mt-2">You'll be back in the next round</p>
+                        <p class="text-red-500 text-xl font-bold">${this.currentPlayer.sittingOut ? 'You are sitting out!' : 'You are folded!'}</p>
+                        <p class="text-gray-500 text-sm mt-2">${this.currentPlayer.sittingOut && this.currentPlayer.balance < this.currentRoom.bootAmount ? `Your balance cannot cover the ₹${this.currentRoom.bootAmount} boot` : "You'll be back in the next round"}</p>
+                    </div>
+                `;
+            }
+            return;
+        }
+        
+        // All-in players wait for the showdown
+        if (this.currentPlayer.allIn) {
+            if (biddingArea) biddingArea.style.display = 'none';
+            if (notYourTurn) {
+                notYourTurn.style.display = 'block';
+                notYourTurn.innerHTML = `
+                    <div class="text-center py-6">
+                        <i class="fas fa-coins text-4xl text-yellow-500 mb-3"></i>
+                        <p class="text-yellow-600 text-xl font-bold">You are all-in!</p>
+                        <p class="text-gray-500 text-sm mt-2">You can win the pots you matched (₹${this.currentPlayer.contributed} in)</p>
                     </div>
                 `;
             }
@@ -841,35 +1682,573 @@ class TeenPattiPool {
                 </div>
             `;
         }
-        
-        if (biddingArea) biddingArea.style.display = isYourTurn ? 'block' : 'none';
-        if (notYourTurn) notYourTurn.style.display = isYourTurn ? 'none' : 'block';
-        
-        if (bidButton) {
-            bidButton.disabled = !isYourTurn || this.currentPlayer.balance <= 0;
+        
+        if (biddingArea) biddingArea.style.display = isYourTurn ? 'block' : 'none';
+        if (notYourTurn) notYourTurn.style.display = isYourTurn ? 'none' : 'block';
+        
+        if (bidButton) {
+            bidButton.disabled = !isYourTurn || this.currentPlayer.balance <= 0;
+        }
+        
+        if (packButton) {
+            packButton.disabled = !isYourTurn;
+            packButton.style.display = 'block';
+        }
+
+        this.updateStakeControls();
+
+        const allInButton = document.getElementById('allInButton');
+        if (allInButton) {
+            const balance = this.currentPlayer.balance;
+            const isShortStacked = balance > 0 && balance < this.getBidLimits().min;
+            allInButton.style.display = isShortStacked ? 'block' : 'none';
+            allInButton.disabled = !isYourTurn;
+            allInButton.innerHTML = `<i class="fas fa-coins mr-2"></i>ALL IN (₹${balance})`;
+        }
+
+        const sideShowButton = document.getElementById('sideShowButton');
+        if (sideShowButton) {
+            const activePlayers = this.currentRoom.players.filter(p => !p.packed).length;
+            const canSideShow = this.currentPlayer.seen && activePlayers > 2;
+            sideShowButton.style.display = canSideShow ? 'block' : 'none';
+            sideShowButton.disabled = !isYourTurn || !!this.currentRoom.pendingSideShow;
+        }
+
+        const showButton = document.getElementById('showButton');
+        if (showButton) {
+            const activePlayers = this.currentRoom.players.filter(p => !p.packed).length;
+            showButton.style.display = activePlayers === 2 ? 'block' : 'none';
+            showButton.disabled = !isYourTurn || !!this.currentRoom.pendingShow;
+        }
+    }
+
+    updateShowModal() {
+        const modal = document.getElementById('showModal');
+        const content = document.getElementById('showContent');
+        if (!modal || !content || !this.currentRoom || !this.currentPlayer) return;
+
+        const show = this.currentRoom.pendingShow;
+        const isShowPlayer = show && show.playerIds.includes(this.currentPlayer.id);
+        if (!show || (!isShowPlayer && !this.currentPlayer.isCreator)) {
+            this.showPotPicks = null;
+            modal.style.display = 'none';
+            return;
+        }
+
+        const showPlayers = show.playerIds
+            .map(id => this.currentRoom.players.find(p => p.id === id))
+            .filter(Boolean);
+        const proposedWinner = showPlayers.find(p => p.id === show.proposedWinnerId);
+
+        const showReason = document.getElementById('showReason');
+        if (showReason) {
+            if (show.reason === 'allIn') {
+                showReason.textContent = 'Everyone else is all-in, so betting is over. Compare cards and pick the winner.';
+            } else if (show.forced) {
+                showReason.textContent = `Pot limit of ₹${this.currentRoom.potLimit} reached. Compare cards and pick the winner.`;
+            } else {
+                showReason.textContent = 'Betting is frozen. Compare cards and pick the winner.';
+            }
+        }
+
+        // With more than one contested pot the host picks a winner for each of them
+        const pots = this.getPots();
+        const contestedPots = pots.filter(pot => pot.eligibleIds.length > 1);
+        if (this.currentPlayer.isCreator && contestedPots.length > 1) {
+            if (!this.showPotPicks || this.showPotPicks.length !== pots.length) {
+                this.showPotPicks = pots.map(pot => {
+                    if (pot.eligibleIds.length === 1) return pot.eligibleIds[0];
+                    return pot.eligibleIds.includes(show.proposedWinnerId) ? show.proposedWinnerId : null;
+                });
+            }
+            const allPicked = this.showPotPicks.every(Boolean);
+
+            content.innerHTML = `
+                ${proposedWinner ? `<p class="text-sm themed-text-secondary mb-4">${this.escapeHtml(show.proposedBy)} says <span class="font-bold">${this.escapeHtml(proposedWinner.name)}</span> won</p>` : ''}
+                <div class="space-y-4 mb-4">
+                    ${pots.map((pot, index) => pot.eligibleIds.length > 1 ? `
+                        <div>
+                            <h3 class="font-bold themed-text-primary text-left mb-2">${pot.name} - ₹${pot.amount}</h3>
+                            <div class="grid grid-cols-2 gap-2">
+                                ${showPlayers.filter(p => pot.eligibleIds.includes(p.id)).map(p => `
+                                    <button onclick="pickShowPotWinner(${index}, '${p.id}')" class="p-2 rounded-lg transition-colors font-semibold ${
+                                        this.showPotPicks[index] === p.id ? 'bg-yellow-100 text-yellow-800 ring-2 ring-yellow-400' : 'bg-gray-100 hover:bg-gray-200 text-gray-800'
+                                    }">${this.escapeHtml(p.name)}</button>
+                                `).join('')}
+                            </div>
+                        </div>
+                    ` : '').join('')}
+                </div>
+                <button onclick="resolveShowPots()" ${allPicked ? '' : 'disabled'} class="w-full bg-teen-patti-green hover:bg-green-700 text-white py-3 rounded-lg transition-colors font-semibold disabled:opacity-50 disabled:cursor-not-allowed">
+                    <i class="fas fa-crown mr-2"></i>Pay out
+                </button>
+                <p class="text-xs themed-text-secondary mt-2">Pots only one player matched go back to them.</p>
+            `;
+            modal.style.display = 'flex';
+            return;
+        }
+
+        content.innerHTML = `
+            ${proposedWinner ? `<p class="text-sm themed-text-secondary mb-4">${this.escapeHtml(show.proposedBy)} says <span class="font-bold">${this.escapeHtml(proposedWinner.name)}</span> won</p>` : ''}
+            <div class="space-y-3 mb-2">
+                ${showPlayers.map(p => `
+                    <button onclick="resolveShow('${p.id}')" class="w-full p-3 rounded-lg transition-colors font-semibold flex justify-between items-center ${
+                        p.id === show.proposedWinnerId ? 'bg-yellow-100 hover:bg-yellow-200 text-yellow-800' : 'bg-gray-100 hover:bg-gray-200 text-gray-800'
+                    }">
+                        <span><i class="fas fa-user mr-2"></i>${this.escapeHtml(p.name)}${p.seen ? '' : ' (Blind)'}</span>
+                        <i class="fas fa-crown text-yellow-500"></i>
+                    </button>
+                `).join('')}
+            </div>
+            <p class="text-xs themed-text-secondary">${this.currentPlayer.isCreator ? 'Your pick pays out the pool.' : 'The host confirms the result.'}</p>
+        `;
+        modal.style.display = 'flex';
+    }
+
+    updateSideShowModal() {
+        const modal = document.getElementById('sideShowModal');
+        const content = document.getElementById('sideShowContent');
+        if (!modal || !content || !this.currentRoom || !this.currentPlayer) return;
+
+        const sideShow = this.currentRoom.pendingSideShow;
+        if (!sideShow) {
+            modal.style.display = 'none';
+            return;
+        }
+
+        const requester = this.currentRoom.players.find(p => p.id === sideShow.requesterId);
+        const target = this.currentRoom.players.find(p => p.id === sideShow.targetId);
+        if (!requester || !target) return;
+
+        const isTarget = this.currentPlayer.id === target.id;
+        const isParticipant = isTarget || this.currentPlayer.id === requester.id;
+
+        if (!sideShow.accepted) {
+            // Only the asked player gets the accept/decline prompt
+            if (!isTarget) {
+                modal.style.display = 'none';
+                return;
+            }
+
+            const secondsLeft = Math.max(0, Math.round((sideShow.expiresAt - Date.now()) / 1000));
+            content.innerHTML = `
+                <p class="themed-text-primary mb-2"><span class="font-bold">${this.escapeHtml(requester.name)}</span> wants to compare cards with you.</p>
+                <p class="text-sm themed-text-secondary mb-6">Respond within ${secondsLeft}s or it will be declined.</p>
+                <div class="grid grid-cols-2 gap-3">
+                    <button onclick="respondSideShow(true)" class="bg-teen-patti-green hover:bg-green-700 text-white py-3 rounded-lg transition-colors font-semibold">
+                        <i class="fas fa-check mr-1"></i>Accept
+                    </button>
+                    <button onclick="respondSideShow(false)" class="bg-red-500 hover:bg-red-600 text-white py-3 rounded-lg transition-colors font-semibold">
+                        <i class="fas fa-times mr-1"></i>Decline
+                    </button>
+                </div>
+            `;
+            modal.style.display = 'flex';
+            return;
+        }
+
+        // Accepted: the host or either player records who packs
+        if (!isParticipant && !this.currentPlayer.isCreator) {
+            modal.style.display = 'none';
+            return;
+        }
+
+        content.innerHTML = `
+            <p class="themed-text-primary mb-6">Compare cards between <span class="font-bold">${this.escapeHtml(requester.name)}</span> and <span class="font-bold">${this.escapeHtml(target.name)}</span>. Who packs?</p>
+            <div class="grid grid-cols-2 gap-3">
+                <button onclick="resolveSideShow('${requester.id}')" class="bg-red-500 hover:bg-red-600 text-white py-3 rounded-lg transition-colors font-semibold">
+                    <i class="fas fa-times-circle mr-1"></i>${this.escapeHtml(requester.name)}
+                </button>
+                <button onclick="resolveSideShow('${target.id}')" class="bg-red-500 hover:bg-red-600 text-white py-3 rounded-lg transition-colors font-semibold">
+                    <i class="fas fa-times-circle mr-1"></i>${this.escapeHtml(target.name)}
+                </button>
+            </div>
+        `;
+        modal.style.display = 'flex';
+    }
+
+    updateStakeControls() {
+        const playerStatus = document.getElementById('playerStatus');
+        const currentStake = document.getElementById('currentStake');
+        const seeCardsButton = document.getElementById('seeCardsButton');
+        const quickBidButtons = document.getElementById('quickBidButtons');
+        const bidInput = document.getElementById('bidAmount');
+
+        const isSeen = this.currentPlayer.seen;
+        const limits = this.getBidLimits();
+
+        if (playerStatus) {
+            playerStatus.textContent = isSeen ? 'SEEN' : 'BLIND';
+            playerStatus.className = `text-xs font-bold px-2 py-1 rounded-full text-white ${isSeen ? 'bg-blue-500' : 'bg-gray-800'}`;
+        }
+
+        if (currentStake) {
+            currentStake.textContent = this.currentRoom.currentStake;
+        }
+
+        const blindCountInfo = document.getElementById('blindCountInfo');
+        if (blindCountInfo) {
+            const showBlindCount = !isSeen && this.currentRoom.maxBlinds > 0;
+            blindCountInfo.style.display = showBlindCount ? 'inline' : 'none';
+            document.getElementById('blindCount').textContent = this.currentPlayer.blindCount || 0;
+            document.getElementById('maxBlinds').textContent = this.currentRoom.maxBlinds;
+        }
+
+        if (seeCardsButton) {
+            seeCardsButton.style.display = isSeen ? 'none' : 'inline-block';
+        }
+
+        if (bidInput) {
+            bidInput.min = limits.min;
+            bidInput.max = limits.max;
+            bidInput.placeholder = `₹${limits.min} - ₹${limits.max}`;
+        }
+
+        // Only offer the legal amounts for this player's status
+        if (quickBidButtons) {
+            quickBidButtons.innerHTML = '';
+            const options = [
+                { amount: limits.min, label: isSeen ? 'Chaal' : 'Blind' },
+                { amount: limits.max, label: isSeen ? 'Raise' : 'Double Blind' }
+            ];
+
+            options.forEach(option => {
+                const button = document.createElement('button');
+                button.className = 'themed-bg-surface hover:bg-gray-200 dark:hover:bg-gray-600 themed-text-primary py-3 rounded-lg transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed';
+                button.innerHTML = `${option.label} <span class="block text-lg">₹${option.amount}</span>`;
+                button.disabled = option.amount > this.currentPlayer.balance;
+                button.onclick = () => setQuickBid(option.amount);
+                quickBidButtons.appendChild(button);
+            });
+        }
+    }
+
+    updateGameLog() {
+        const gameLog = document.getElementById('gameLog');
+        if (!gameLog || !this.currentRoom) return;
+
+        gameLog.innerHTML = '';
+        
+        this.currentRoom.gameLog.slice(-10).forEach(logEntry => {
+            const logItem = document.createElement('div');
+            logItem.className = 'text-sm text-gray-600 p-2 bg-gray-50 rounded';
+            logItem.textContent = `[${new Date(logEntry.timestamp).toLocaleTimeString()}] ${logEntry.message}`;
+            gameLog.appendChild(logItem);
+        });
+        
+        // Scroll to bottom
+        gameLog.scrollTop = gameLog.scrollHeight;
+
+        this.appendLiveLogEntries();
+    }
+
+    // Helper to read the history filters; empty values mean "all"
+    getLogFilters() {
+        const value = id => {
+            const element = document.getElementById(id);
+            return element ? element.value : '';
+        };
+
+        return {
+            round: value('logRoundFilter'),
+            playerId: value('logPlayerFilter'),
+            type: value('logTypeFilter')
+        };
+    }
+
+    matchesLogFilters(entry, filters) {
+        return (!filters.round || entry.round === parseInt(filters.round)) &&
+            (!filters.playerId || entry.actorId === filters.playerId || entry.targetId === filters.playerId) &&
+            (!filters.type || entry.type === filters.type);
+    }
+
+    showLogModal() {
+        const modal = document.getElementById('logModal');
+        if (!modal || !this.currentRoom) return;
+
+        const roundFilter = document.getElementById('logRoundFilter');
+        const playerFilter = document.getElementById('logPlayerFilter');
+        const typeFilter = document.getElementById('logTypeFilter');
+
+        const rounds = [];
+        for (let round = this.currentRoom.round; round >= 1; round--) {
+            rounds.push(`<option value="${round}">Round ${round}</option>`);
+        }
+        roundFilter.innerHTML = '<option value="">All rounds</option>' + rounds.join('');
+
+        playerFilter.innerHTML = '<option value="">All players</option>';
+        this.currentRoom.players.forEach(player => {
+            const option = document.createElement('option');
+            option.value = player.id;
+            option.textContent = player.name;
+            playerFilter.appendChild(option);
+        });
+
+        typeFilter.innerHTML = '<option value="">All events</option>' + Object.entries(LOG_TYPE_NAMES)
+            .map(([type, name]) => `<option value="${type}">${name}</option>`)
+            .join('');
+
+        modal.style.display = 'flex';
+        this.fetchLogHistory();
+    }
+
+    closeLogModal() {
+        const modal = document.getElementById('logModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    // Load the newest page for the current filters, or the page before the oldest loaded entry
+    fetchLogHistory(older = false) {
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return;
+        }
+
+        const filters = this.getLogFilters();
+        const oldest = this.logHistory.entries[0];
+
+        if (!older) {
+            this.logHistory = { entries: [], hasMore: false };
+        }
+
+        this.socket.emit('getGameLog', {
+            ...filters,
+            beforeId: older && oldest ? oldest.id : null
+        });
+    }
+
+    receiveLogPage(data) {
+        const filters = this.getLogFilters();
+        // Drop pages for filters the user has since changed
+        if ((data.filters.round || '') !== filters.round ||
+            (data.filters.playerId || '') !== filters.playerId ||
+            (data.filters.type || '') !== filters.type) {
+            return;
+        }
+
+        this.logHistory.entries = data.beforeId
+            ? [...data.entries, ...this.logHistory.entries]
+            : data.entries;
+        this.logHistory.hasMore = data.hasMore;
+        this.renderLogHistory();
+    }
+
+    // Keep an open history view current with entries that arrive in room updates
+    appendLiveLogEntries() {
+        const modal = document.getElementById('logModal');
+        if (!modal || modal.style.display === 'none' || this.logHistory.entries.length === 0) return;
+
+        const filters = this.getLogFilters();
+        const newest = this.logHistory.entries[this.logHistory.entries.length - 1];
+        const fresh = this.currentRoom.gameLog.filter(entry => entry.id > newest.id && this.matchesLogFilters(entry, filters));
+
+        if (fresh.length > 0) {
+            this.logHistory.entries.push(...fresh);
+            this.renderLogHistory();
+        }
+    }
+
+    renderLogHistory() {
+        const list = document.getElementById('logHistoryList');
+        const loadOlder = document.getElementById('logLoadOlder');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (this.logHistory.entries.length === 0) {
+            list.innerHTML = '<p class="text-sm themed-text-secondary text-center">No matching events.</p>';
+        }
+
+        // Newest first
+        this.logHistory.entries.slice().reverse().forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'p-2 rounded-lg themed-border border text-xs';
+
+            const meta = document.createElement('div');
+            meta.className = 'flex justify-between themed-text-secondary mb-1';
+            meta.innerHTML = `<span>Round ${entry.round} · ${LOG_TYPE_NAMES[entry.type] || entry.type}</span>`;
+            const time = document.createElement('span');
+            time.textContent = new Date(entry.timestamp).toLocaleString();
+            meta.appendChild(time);
+
+            const message = document.createElement('div');
+            message.className = 'themed-text-primary';
+            message.textContent = entry.message;
+
+            item.appendChild(meta);
+            item.appendChild(message);
+
+            if (entry.summaryId) {
+                const button = document.createElement('button');
+                button.className = 'mt-1 text-teen-patti-green font-semibold';
+                button.innerHTML = '<i class="fas fa-receipt mr-1"></i>View round summary';
+                button.onclick = () => this.requestRoundSummary(entry.summaryId);
+                item.appendChild(button);
+            }
+            list.appendChild(item);
+        });
+
+        if (loadOlder) {
+            loadOlder.style.display = this.logHistory.hasMore ? 'block' : 'none';
+        }
+    }
+
+    // Session replay: step through the room's recorded events on the same table view
+    openReplay() {
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return;
+        }
+
+        this.socket.emit('getReplay');
+    }
+
+    startReplay(steps) {
+        if (steps.length === 0) {
+            this.showMessage('Nothing to replay yet', 'info');
+            return;
+        }
+
+        this.closeReplay();
+        this.replay = {
+            steps: steps,
+            index: 0,
+            liveRoom: this.currentRoom,
+            playing: false,
+            speed: parseFloat(document.getElementById('replaySpeed').value) || 1,
+            animate: false,
+            timer: null
+        };
+
+        // Hide the live controls and the running clock while looking back
+        this.stopTurnTimer();
+        document.body.classList.add('replaying');
+        document.getElementById('replayPanel').style.display = 'block';
+
+        const slider = document.getElementById('replaySlider');
+        slider.max = steps.length;
+        document.getElementById('replayStepCount').textContent = steps.length;
+
+        this.goToReplayStep(0);
+    }
+
+    goToReplayStep(index, animate = false) {
+        if (!this.replay) return;
+
+        const replay = this.replay;
+        replay.index = Math.max(0, Math.min(index, replay.steps.length - 1));
+        replay.animate = animate;
+        clearTimeout(replay.timer);
+
+        const step = replay.steps[replay.index];
+        document.getElementById('replayStepNumber').textContent = replay.index + 1;
+        document.getElementById('replaySlider').value = replay.index + 1;
+
+        const meta = document.getElementById('replayStepMeta');
+        meta.textContent = `Round ${step.round} · ${new Date(step.timestamp).toLocaleTimeString()}${step.actor ? ` · ${step.actor}` : ''}`;
+
+        // Steps that wrote nothing to the log (rejoins, UPI IDs, restarts) fall back to the event name
+        const messages = document.getElementById('replayStepMessages');
+        messages.innerHTML = '';
+        const lines = step.messages.length > 0
+            ? step.messages
+            : [step.type.replace(/([A-Z])/g, ' $1').toLowerCase()];
+        lines.forEach(line => {
+            const item = document.createElement('div');
+            item.textContent = line;
+            messages.appendChild(item);
+        });
+
+        this.socket.emit('getReplayFrame', { seq: step.seq });
+    }
+
+    stepReplay(direction) {
+        if (!this.replay) return;
+        this.goToReplayStep(this.replay.index + direction, direction === 1);
+    }
+
+    showReplayFrame(data) {
+        const replay = this.replay;
+        // Drop frames for steps the viewer has already moved past
+        if (!replay || replay.steps[replay.index].seq !== data.seq) return;
+
+        const step = replay.steps[replay.index];
+        this.currentRoom = data.room;
+        this.updatePoolDisplay();
+        this.updatePlayersList();
+        this.updateTurnIndicator();
+        this.updateGameLog();
+
+        if (replay.animate) {
+            step.bets.forEach(bet => this.animateBidToPool(bet.amount, bet.player));
+        }
+
+        if (replay.playing) {
+            if (replay.index < replay.steps.length - 1) {
+                replay.timer = setTimeout(() => this.stepReplay(1), 1500 / replay.speed);
+            } else {
+                this.setReplayPlaying(false);
+            }
+        }
+    }
+
+    toggleReplayPlayback() {
+        if (!this.replay) return;
+
+        if (this.replay.playing) {
+            this.setReplayPlaying(false);
+            clearTimeout(this.replay.timer);
+            return;
         }
-        
-        if (packButton) {
-            packButton.disabled = !isYourTurn;
-            packButton.style.display = 'block';
+
+        this.setReplayPlaying(true);
+        // Play from the start again once the end has been reached
+        if (this.replay.index === this.replay.steps.length - 1) {
+            this.goToReplayStep(0);
+        } else {
+            this.stepReplay(1);
         }
     }
 
-    updateGameLog() {
-        const gameLog = document.getElementById('gameLog');
-        if (!gameLog || !this.currentRoom) return;
+    setReplayPlaying(playing) {
+        this.replay.playing = playing;
+        document.getElementById('replayPlayButton').innerHTML = playing
+            ? '<i class="fas fa-pause"></i>'
+            : '<i class="fas fa-play"></i>';
+    }
 
-        gameLog.innerHTML = '';
-        
-        this.currentRoom.gameLog.slice(-10).forEach(logEntry => {
-            const logItem = document.createElement('div');
-            logItem.className = 'text-sm text-gray-600 p-2 bg-gray-50 rounded';
-            logItem.textContent = logEntry;
-            gameLog.appendChild(logItem);
-        });
-        
-        // Scroll to bottom
-        gameLog.scrollTop = gameLog.scrollHeight;
+    setReplaySpeed(speed) {
+        if (this.replay) {
+            this.replay.speed = parseFloat(speed) || 1;
+        }
+    }
+
+    // Take in the live table, or keep it aside while the replay viewer shows an earlier one.
+    // Returns whether the live table is on screen.
+    setLiveRoom(room) {
+        if (this.replay) {
+            this.replay.liveRoom = room;
+            return false;
+        }
+        this.currentRoom = room;
+        return true;
+    }
+
+    // Back to the live table, including anything that happened while replaying
+    closeReplay() {
+        if (!this.replay) return;
+
+        clearTimeout(this.replay.timer);
+        this.currentRoom = this.replay.liveRoom;
+        this.replay = null;
+
+        document.body.classList.remove('replaying');
+        document.getElementById('replayPanel').style.display = 'none';
+        document.getElementById('replayPlayButton').innerHTML = '<i class="fas fa-play"></i>';
+
+        this.updateLobbyUI();
     }
 
     showWinnerModal(amount) {
@@ -882,15 +2261,17 @@ class TeenPattiPool {
         }
     }
 
-    showWinnerDeclaredModal(winner, declaredBy) {
+    showWinnerDeclaredModal(winners, amount, declaredBy) {
         const modal = document.getElementById('winnerDeclaredModal');
         const winnerNameSpan = document.getElementById('declaredWinnerName');
         const winnerAmountSpan = document.getElementById('declaredWinnerAmount');
         const declaredBySpan = document.getElementById('declaredBy');
         
         if (modal && winnerNameSpan && winnerAmountSpan && declaredBySpan) {
-            winnerNameSpan.textContent = winner.name;
-            winnerAmountSpan.textContent = winner.amount;
+            winnerNameSpan.textContent = winners.length > 1
+                ? winners.map(w => `${w.name} (₹${w.amount})`).join(', ')
+                : winners[0].name;
+            winnerAmountSpan.textContent = amount;
             declaredBySpan.textContent = declaredBy;
             modal.style.display = 'flex';
             
@@ -901,11 +2282,370 @@ class TeenPattiPool {
         }
     }
 
+    showShowdownModal(data) {
+        const modal = document.getElementById('showdownModal');
+        const title = document.getElementById('showdownTitle');
+        const content = document.getElementById('showdownContent');
+        if (!modal || !title || !content) return;
+
+        title.textContent = data.type === 'sideShow' ? 'Side Show Result' : 'Show Result';
+
+        const winners = data.players.filter(p => p.won).map(p => this.escapeHtml(p.name));
+        content.innerHTML = `
+            <div class="space-y-3 mb-4">
+                ${data.players.map(p => `
+                    <div class="p-3 rounded-lg border-2 ${p.won ? 'border-teen-patti-green bg-green-50' : 'themed-border'}">
+                        <div class="flex justify-between items-center mb-2">
+                            <span class="font-bold ${p.won ? 'text-teen-patti-green' : 'themed-text-primary'}">${p.won ? '🏆 ' : ''}${this.escapeHtml(p.name)}</span>
+                            <span class="text-sm themed-text-secondary">${p.hand}</span>
+                        </div>
+                        <div class="flex justify-center gap-2">
+                            ${p.cards.map(card => this.renderCard(card)).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            <p class="text-lg font-bold text-teen-patti-green">
+                ${data.type === 'sideShow'
+                    ? `${winners[0]} wins the side show`
+                    : `${winners.join(' & ')} win${winners.length > 1 ? '' : 's'} ₹${data.amount}`}
+            </p>
+        `;
+        modal.style.display = 'flex';
+    }
+
+    showVerifyModal() {
+        const modal = document.getElementById('verifyModal');
+        const content = document.getElementById('verifyContent');
+        if (!modal || !content || !this.currentRoom) return;
+
+        const proofs = (this.currentRoom.dealProofs || []).slice().reverse();
+
+        if (proofs.length === 0) {
+            content.innerHTML = '<p class="text-sm themed-text-secondary text-center">No finished rounds to verify yet.</p>';
+        } else {
+            content.innerHTML = proofs.map(proof => {
+                const result = FairShuffle.verifyDeal(proof);
+                const published = this.dealCommitments[proof.dealNumber];
+                const check = (ok, label) => `
+                    <div class="${ok ? 'text-green-600' : 'text-red-500'}">
+                        <i class="fas ${ok ? 'fa-check-circle' : 'fa-times-circle'} mr-1"></i>${label}
+                    </div>
+                `;
+
+                return `
+                    <div class="p-3 rounded-lg themed-border border text-xs">
+                        <div class="flex justify-between items-center mb-2">
+                            <span class="font-bold themed-text-primary text-sm">Round #${proof.round}</span>
+                            <span class="font-bold ${result.valid ? 'text-green-600' : 'text-red-500'}">${result.valid ? 'VERIFIED' : 'FAILED'}</span>
+                        </div>
+                        ${check(result.deckMatches, 'Seed reproduces the dealt deck')}
+                        ${check(result.commitmentMatches, 'Deck matches the published fingerprint')}
+                        ${published
+                            ? check(published === proof.commitment, 'Fingerprint is the one you received before the deal')
+                            : '<div class="themed-text-secondary"><i class="fas fa-info-circle mr-1"></i>You were not connected when this round was dealt</div>'}
+                        <details class="mt-2">
+                            <summary class="cursor-pointer themed-text-secondary">Seed and deck order</summary>
+                            <p class="mt-1 break-all themed-text-secondary">Seed: ${proof.seed}</p>
+                            <p class="mt-1 break-all themed-text-secondary">Fingerprint: ${proof.commitment}</p>
+                            <p class="mt-1 break-all themed-text-primary">${FairShuffle.formatDeck(proof.deck)}</p>
+                        </details>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        modal.style.display = 'flex';
+    }
+
+    closeVerifyModal() {
+        const modal = document.getElementById('verifyModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    closeShowdownModal() {
+        const modal = document.getElementById('showdownModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        this.showPendingRoundSummary();
+    }
+
     closeWinnerDeclaredModal() {
         const modal = document.getElementById('winnerDeclaredModal');
         if (modal) {
             modal.style.display = 'none';
         }
+        this.showPendingRoundSummary();
+    }
+
+    showPendingRoundSummary() {
+        if (this.pendingRoundSummary) {
+            const summary = this.pendingRoundSummary;
+            this.pendingRoundSummary = null;
+            this.showRoundSummaryModal(summary);
+        }
+    }
+
+    requestRoundSummary(summaryId) {
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return;
+        }
+
+        this.socket.emit('getRoundSummary', { summaryId: summaryId });
+    }
+
+    // Helper to format a duration in milliseconds as "4m 05s"
+    formatDuration(ms) {
+        const totalSeconds = Math.max(Math.round(ms / 1000), 0);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+    }
+
+    showRoundSummaryModal(summary) {
+        const modal = document.getElementById('roundSummaryModal');
+        const title = document.getElementById('roundSummaryTitle');
+        const meta = document.getElementById('roundSummaryMeta');
+        const rows = document.getElementById('roundSummaryRows');
+        if (!modal || !title || !meta || !rows || !summary) return;
+
+        title.textContent = `Round ${summary.round} Summary`;
+        meta.textContent = `₹${summary.pool} pot · ${summary.totalChaals} chaals · ${this.formatDuration(summary.durationMs)} · ended ${new Date(summary.endedAt).toLocaleTimeString()}`;
+
+        rows.innerHTML = '';
+        summary.players.forEach(player => {
+            let status;
+            if (player.won > 0) {
+                status = `Won ₹${player.won}`;
+            } else if (player.sittingOut) {
+                status = 'Sat out';
+            } else if (player.packedAt) {
+                status = `Packed after ${player.packedAt.afterChaals} chaals (${new Date(player.packedAt.timestamp).toLocaleTimeString()})`;
+            } else {
+                status = 'Lost';
+            }
+
+            const row = document.createElement('tr');
+            row.className = 'border-t themed-border';
+            row.innerHTML = `
+                <td class="py-2 pr-2">
+                    <div class="font-semibold themed-text-primary" data-field="name"></div>
+                    <div class="text-xs themed-text-secondary" data-field="status"></div>
+                </td>
+                <td class="py-2 px-2 text-right themed-text-secondary">₹${player.contributed}</td>
+                <td class="py-2 px-2 text-right themed-text-secondary">${player.chaals}</td>
+                <td class="py-2 pl-2 text-right font-bold ${player.net > 0 ? 'text-green-600' : player.net < 0 ? 'text-red-500' : 'themed-text-secondary'}">
+                    ${player.net > 0 ? '+' : player.net < 0 ? '-' : ''}₹${Math.abs(player.net)}
+                </td>
+            `;
+            row.querySelector('[data-field="name"]').textContent = player.name;
+            row.querySelector('[data-field="status"]').textContent = status;
+            rows.appendChild(row);
+        });
+
+        modal.style.display = 'flex';
+    }
+
+    // Helper to format a signed rupee amount such as "+₹120" or "-₹40"
+    formatNet(amount) {
+        return `${amount > 0 ? '+' : amount < 0 ? '-' : ''}₹${Math.abs(amount)}`;
+    }
+
+    showSettlementModal() {
+        const modal = document.getElementById('settlementModal');
+        const meta = document.getElementById('settlementMeta');
+        const results = document.getElementById('settlementResults');
+        const transfers = document.getElementById('settlementTransfers');
+        const settlement = this.currentRoom && this.currentRoom.settlement;
+        if (!modal || !meta || !results || !transfers || !settlement) return;
+
+        meta.textContent = `Room ${this.currentRoom.code} · closed by ${settlement.closedBy} · ${new Date(settlement.closedAt).toLocaleString()}`;
+
+        results.innerHTML = '';
+        settlement.results.slice().sort((a, b) => b.net - a.net).forEach(result => {
+            const row = document.createElement('div');
+            row.className = 'flex justify-between items-center py-1';
+            row.innerHTML = `
+                <div>
+                    <span class="font-semibold themed-text-primary" data-field="name"></span>
+                    <span class="text-xs themed-text-secondary">₹${result.buyIn} in · ₹${result.finalBalance} out${result.left ? ' · left early' : ''}</span>
+                </div>
+                <span class="font-bold ${result.net > 0 ? 'text-green-600' : result.net < 0 ? 'text-red-500' : 'themed-text-secondary'}">${this.formatNet(result.net)}</span>
+            `;
+            row.querySelector('[data-field="name"]').textContent = result.name;
+            results.appendChild(row);
+        });
+
+        transfers.innerHTML = '';
+        if (settlement.transfers.length === 0) {
+            transfers.innerHTML = '<p class="text-sm themed-text-secondary text-center">Everyone is square. No payments needed.</p>';
+        }
+        settlement.transfers.forEach(transfer => {
+            const row = document.createElement('div');
+            row.className = 'p-2 rounded-lg themed-border border text-sm themed-text-primary';
+
+            const label = document.createElement('div');
+            label.textContent = `${transfer.from} pays ${transfer.to} ₹${transfer.amount}`;
+            row.appendChild(label);
+
+            const upiId = this.getUpiId(transfer.toId);
+            if (upiId) {
+                const link = this.getUpiLink(transfer, upiId);
+                const payment = document.createElement('details');
+                payment.className = 'mt-1 text-xs';
+                // The payer sees their own QR straight away
+                payment.open = !!this.currentPlayer && transfer.fromId === this.currentPlayer.id;
+                payment.innerHTML = `
+                    <summary class="cursor-pointer text-teen-patti-green font-semibold"><i class="fas fa-qrcode mr-1"></i>Pay via UPI</summary>
+                    <div class="flex flex-col items-center mt-2">
+                        <div data-field="qr"></div>
+                        <p class="themed-text-secondary mt-1" data-field="upiId"></p>
+                        <a class="mt-2 bg-teen-patti-green text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors" data-field="link">
+                            <i class="fas fa-mobile-alt mr-1"></i>Open UPI app
+                        </a>
+                    </div>
+                `;
+                // A link too long for a QR code can still be opened or copied
+                const qr = payment.querySelector('[data-field="qr"]');
+                try {
+                    qr.innerHTML = QrCode.toSvg(link);
+                } catch (error) {
+                    console.warn('Could not draw the UPI QR code:', error.message);
+                    qr.remove();
+                }
+                payment.querySelector('[data-field="upiId"]').textContent = upiId;
+                payment.querySelector('[data-field="link"]').href = link;
+                row.appendChild(payment);
+            } else {
+                const missing = document.createElement('p');
+                missing.className = 'text-xs themed-text-secondary mt-1';
+                missing.textContent = `${transfer.to} has not added a UPI ID yet`;
+                row.appendChild(missing);
+            }
+
+            transfers.appendChild(row);
+        });
+
+        if (settlement.unclaimedPool > 0) {
+            const note = document.createElement('p');
+            note.className = 'text-xs themed-text-secondary mt-2';
+            note.textContent = `₹${settlement.unclaimedPool} left in the pool by players who left mid-round is not included.`;
+            transfers.appendChild(note);
+        }
+
+        // Fill in my saved UPI ID unless I'm in the middle of editing it
+        const upiInput = document.getElementById('upiIdInput');
+        const me = this.currentRoom.players.find(p => this.currentPlayer && p.id === this.currentPlayer.id);
+        if (upiInput && document.activeElement !== upiInput) {
+            upiInput.value = (me && me.upiId) || localStorage.getItem('upiId') || '';
+        }
+
+        modal.style.display = 'flex';
+    }
+
+    // Helper to find a player's UPI ID, including players who left before the table closed
+    getUpiId(playerId) {
+        const player = this.currentRoom.players.find(p => p.id === playerId) ||
+            (this.currentRoom.departedPlayers || []).find(p => p.id === playerId);
+        return player ? player.upiId : null;
+    }
+
+    // UPI deep link (NPCI intent format) for one settlement payment
+    getUpiLink(transfer, upiId) {
+        const settlement = this.currentRoom.settlement;
+        const note = `Teen Patti room ${this.currentRoom.code} ${new Date(settlement.closedAt).toLocaleDateString()}`;
+        const params = [
+            `pa=${encodeURIComponent(upiId)}`,
+            `pn=${encodeURIComponent(transfer.to)}`,
+            `am=${transfer.amount.toFixed(2)}`,
+            'cu=INR',
+            `tn=${encodeURIComponent(note)}`
+        ];
+        return `upi://pay?${params.join('&')}`;
+    }
+
+    saveUpiId() {
+        const upiInput = document.getElementById('upiIdInput');
+        if (!upiInput) return;
+
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return;
+        }
+
+        this.socket.emit('setUpiId', { upiId: upiInput.value.trim() });
+    }
+
+    closeSettlementModal() {
+        const modal = document.getElementById('settlementModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    // Plain-text version of the settlement for chat apps and the .txt export
+    getSettlementText() {
+        const settlement = this.currentRoom.settlement;
+        const lines = [
+            `Teen Patti - Room ${this.currentRoom.code}`,
+            `Closed ${new Date(settlement.closedAt).toLocaleString()} by ${settlement.closedBy}`,
+            '',
+            'Results:'
+        ];
+
+        settlement.results.slice().sort((a, b) => b.net - a.net).forEach(result => {
+            lines.push(`  ${result.name}: ${this.formatNet(result.net)} (bought in ₹${result.buyIn}, finished with ₹${result.finalBalance}${result.left ? ', left early' : ''})`);
+        });
+
+        lines.push('', 'Payments:');
+        if (settlement.transfers.length === 0) {
+            lines.push('  None - everyone is square');
+        }
+        settlement.transfers.forEach(transfer => {
+            const upiId = this.getUpiId(transfer.toId);
+            lines.push(`  ${transfer.from} pays ${transfer.to} ₹${transfer.amount}${upiId ? ` (UPI: ${upiId})` : ''}`);
+        });
+
+        if (settlement.unclaimedPool > 0) {
+            lines.push('', `Unclaimed pool: ₹${settlement.unclaimedPool}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    shareSettlement() {
+        if (!this.currentRoom || !this.currentRoom.settlement) return;
+
+        const text = this.getSettlementText();
+        if (navigator.share) {
+            navigator.share({ title: `Teen Patti settlement - Room ${this.currentRoom.code}`, text: text }).catch(() => {});
+        } else if (navigator.clipboard) {
+            navigator.clipboard.writeText(text)
+                .then(() => this.showMessage('Settlement copied to clipboard', 'success'))
+                .catch(() => this.showMessage('Could not copy the settlement', 'error'));
+        }
+    }
+
+    exportSettlement() {
+        if (!this.currentRoom || !this.currentRoom.settlement) return;
+
+        const blob = new Blob([this.getSettlementText()], { type: 'text/plain' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `teen-patti-${this.currentRoom.code}-settlement.txt`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    closeRoundSummaryModal() {
+        const modal = document.getElementById('roundSummaryModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
     }
 
     showPlayerManagementModal() {
@@ -922,6 +2662,8 @@ class TeenPattiPool {
             // Clear previous content
             turnPlayersList.innerHTML = '';
             removePlayersList.innerHTML = '';
+
+            this.renderSeatList();
             
             // Populate turn management section (exclude packed players)
             this.currentRoom.players.forEach(player => {
@@ -934,7 +2676,7 @@ class TeenPattiPool {
                             : 'bg-gray-100 hover:bg-gray-200 text-gray-800'
                     }`;
                     playerButton.innerHTML = `
-                        <i class="fas fa-user mr-2"></i>${player.name}
+                        <i class="fas fa-user mr-2"></i>${this.escapeHtml(player.name)}
                         ${isCurrentTurn ? ' (Current Turn)' : ''}
                         ${player.isCreator ? ' <i class="fas fa-crown text-yellow-500"></i>' : ''}
                     `;
@@ -953,7 +2695,7 @@ class TeenPattiPool {
                     const removeButton = document.createElement('button');
                     removeButton.className = 'w-full p-2 bg-red-100 hover:bg-red-200 text-red-800 rounded-lg transition-colors font-semibold text-sm';
                     removeButton.innerHTML = `
-                        <i class="fas fa-user-minus mr-2"></i>Remove ${player.name}
+                        <i class="fas fa-user-minus mr-2"></i>Remove ${this.escapeHtml(player.name)}
                         ${player.isCreator ? ' <i class="fas fa-crown text-yellow-500"></i>' : ''}
                         ${player.packed ? ' (Folded)' : ''}
                     `;
@@ -967,6 +2709,45 @@ class TeenPattiPool {
         }
     }
 
+    renderSeatList() {
+        const seatPlayersList = document.getElementById('seatPlayersList');
+        if (!seatPlayersList) return;
+
+        const players = this.currentRoom.players;
+        seatPlayersList.innerHTML = players.map((player, index) => `
+            <div class="flex items-center gap-2 p-2 bg-gray-100 rounded-lg text-sm text-gray-800">
+                <span class="w-6 text-center font-bold">${index + 1}</span>
+                <span class="flex-1 text-left font-semibold">
+                    ${this.escapeHtml(player.name)}
+                    ${player.id === this.currentRoom.dealerId ? '<span class="ml-1 text-[10px] bg-white border border-gray-800 rounded-full px-1 font-bold">D</span>' : ''}
+                </span>
+                <button onclick="moveSeat('${player.id}', -1)" class="px-2 py-1 rounded bg-white hover:bg-gray-200 disabled:opacity-30" ${index === 0 ? 'disabled' : ''} title="Move up">
+                    <i class="fas fa-arrow-up"></i>
+                </button>
+                <button onclick="moveSeat('${player.id}', 1)" class="px-2 py-1 rounded bg-white hover:bg-gray-200 disabled:opacity-30" ${index === players.length - 1 ? 'disabled' : ''} title="Move down">
+                    <i class="fas fa-arrow-down"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    moveSeat(playerId, direction) {
+        if (!this.currentRoom || !this.currentPlayer.isCreator) return;
+
+        if (!this.isConnected) {
+            this.showMessage('Not connected to server', 'error');
+            return;
+        }
+
+        const playerIds = this.currentRoom.players.map(p => p.id);
+        const index = playerIds.indexOf(playerId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= playerIds.length) return;
+
+        [playerIds[index], playerIds[target]] = [playerIds[target], playerIds[index]];
+        this.socket.emit('rearrangeSeats', { playerIds: playerIds });
+    }
+
     closePlayerManagementModal() {
         const modal = document.getElementById('playerManagementModal');
         if (modal) {
@@ -997,6 +2778,16 @@ class TeenPattiPool {
         }
     }
 
+    // Escape typed-in text (player names) before it goes into an HTML template
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     showMessage(message, type = 'info') {
         const container = document.getElementById('messageContainer');
         if (!container) return;
@@ -1025,8 +2816,9 @@ class TeenPattiPool {
     // State Persistence
     saveState() {
         const state = {
-            currentRoom: this.currentRoom,
-            currentPlayer: this.currentPlayer
+            currentRoom: this.replay ? this.replay.liveRoom : this.currentRoom,
+            currentPlayer: this.currentPlayer,
+            sessionToken: this.sessionToken
         };
         localStorage.setItem('teenPattiPoolState', JSON.stringify(state));
     }
@@ -1038,7 +2830,8 @@ class TeenPattiPool {
                 const state = JSON.parse(savedState);
                 this.currentRoom = state.currentRoom;
                 this.currentPlayer = state.currentPlayer;
-                console.log('Loaded previous state:', state);
+                this.sessionToken = state.sessionToken || null;
+                console.log('Loaded previous state:', { room: state.currentRoom && state.currentRoom.code });
             } catch (e) {
                 console.error('Error loading state:', e);
                 this.clearState();
@@ -1050,6 +2843,7 @@ class TeenPattiPool {
         localStorage.removeItem('teenPattiPoolState');
         this.currentRoom = null;
         this.currentPlayer = null;
+        this.sessionToken = null;
     }
 }
 
@@ -1060,7 +2854,15 @@ const game = new TeenPattiPool();
 function createRoom() {
     const creatorName = document.getElementById('creatorName').value;
     const startingBalance = document.getElementById('startingBalance').value || 1000;
-    game.createRoom(creatorName, startingBalance);
+    const baseStake = document.getElementById('baseStake').value || 10;
+    const bootAmount = document.getElementById('bootAmount').value || 0;
+    const potLimit = document.getElementById('potLimit').value || 0;
+    const maxBlinds = document.getElementById('maxBlinds').value || 0;
+    const turnTimeLimit = document.getElementById('turnTimeLimit').value || 0;
+    const timeoutAction = document.getElementById('timeoutAction').value;
+    const digitalCards = document.getElementById('digitalCards').checked;
+    const variant = document.getElementById('variant').value;
+    game.createRoom(creatorName, startingBalance, baseStake, bootAmount, potLimit, maxBlinds, turnTimeLimit, timeoutAction, digitalCards, variant);
 }
 
 function joinRoom() {
@@ -1089,6 +2891,60 @@ function setQuickBid(amount) {
     }
 }
 
+function seeCards() {
+    game.seeCards();
+}
+
+function goAllIn() {
+    if (confirm('Go all-in with your remaining balance? You can only win the pots you matched.')) {
+        game.goAllIn();
+    }
+}
+
+function requestSideShow() {
+    if (confirm('Ask the previous player for a side show? This costs a regular chaal.')) {
+        game.requestSideShow();
+    }
+}
+
+function respondSideShow(accept) {
+    game.respondSideShow(accept);
+}
+
+function resolveSideShow(loserId) {
+    const player = game.currentRoom?.players.find(p => p.id === loserId);
+    const playerName = player ? player.name : 'this player';
+
+    if (confirm(`Record that ${playerName} lost the side show and packs?`)) {
+        game.resolveSideShow(loserId);
+    }
+}
+
+function requestShow() {
+    if (confirm('Ask for a show? This costs your regular bet and freezes betting.')) {
+        game.requestShow();
+    }
+}
+
+function resolveShow(winnerId) {
+    const player = game.currentRoom?.players.find(p => p.id === winnerId);
+    const playerName = player ? player.name : 'this player';
+
+    if (confirm(`${game.currentPlayer.isCreator ? 'Confirm' : 'Say'} that ${playerName} won the show?`)) {
+        game.resolveShow(winnerId);
+    }
+}
+
+function pickShowPotWinner(potIndex, winnerId) {
+    game.pickShowPotWinner(potIndex, winnerId);
+}
+
+function resolveShowPots() {
+    if (confirm('Pay out every pot to the picked winners?')) {
+        game.resolveShowPots();
+    }
+}
+
 function packCards() {
     if (confirm('Are you sure you want to pack (fold) your cards? You will be out of this round.')) {
         game.packCards();
@@ -1101,6 +2957,74 @@ function resetPool() {
     }
 }
 
+function setVariant(variant) {
+    game.setVariant(variant);
+}
+
+function requestUndo() {
+    const undoStack = game.currentRoom?.undoStack || [];
+    const lastAction = undoStack[undoStack.length - 1];
+    if (!lastAction) return;
+
+    const prompt = game.currentPlayer.isCreator
+        ? `Undo "${lastAction.description}"?`
+        : `Ask the host to undo "${lastAction.description}"?`;
+
+    if (confirm(prompt)) {
+        game.requestUndo();
+    }
+}
+
+function respondUndo(approve) {
+    game.respondUndo(approve);
+}
+
+function requestRebuy() {
+    const defaultAmount = game.currentRoom ? game.currentRoom.startingBalance : '';
+    const amount = prompt(game.currentPlayer.isCreator
+        ? 'How much do you want to add to your balance?'
+        : 'How much do you want to add? The host has to approve it.', defaultAmount);
+    if (amount !== null) {
+        game.requestRebuy(parseInt(amount));
+    }
+}
+
+function respondRebuy(approve) {
+    game.respondRebuy(approve);
+}
+
+function cancelRound() {
+    if (confirm('Cancel this round? Every player gets back exactly what they put into the pool and the round is replayed.')) {
+        game.cancelRound();
+    }
+}
+
+function closeTable() {
+    if (confirm('Close the table? The current round is refunded, the room is frozen and everyone sees who pays whom.')) {
+        game.closeTable();
+    }
+}
+
+function showSettlementModal() {
+    game.showSettlementModal();
+}
+
+function saveUpiId() {
+    game.saveUpiId();
+}
+
+function closeSettlementModal() {
+    game.closeSettlementModal();
+}
+
+function shareSettlement() {
+    game.shareSettlement();
+}
+
+function exportSettlement() {
+    game.exportSettlement();
+}
+
 function removePlayer(playerId) {
     // Find player name for confirmation
     const player = game.currentRoom?.players.find(p => p.id === playerId);
@@ -1119,14 +3043,70 @@ function closeWinnerModal() {
     game.closeWinnerModal();
 }
 
+function confirmWinnerSelection() {
+    game.confirmWinnerSelection();
+}
+
 function closeWinnerSelectionModal() {
     game.closeWinnerSelectionModal();
 }
 
+function showVerifyModal() {
+    game.showVerifyModal();
+}
+
+function showLogModal() {
+    game.showLogModal();
+}
+
+function closeLogModal() {
+    game.closeLogModal();
+}
+
+function fetchLogHistory(older) {
+    game.fetchLogHistory(older);
+}
+
+function openReplay() {
+    game.openReplay();
+}
+
+function stepReplay(direction) {
+    game.stepReplay(direction);
+}
+
+function seekReplay(step) {
+    game.goToReplayStep(parseInt(step) - 1);
+}
+
+function toggleReplayPlayback() {
+    game.toggleReplayPlayback();
+}
+
+function setReplaySpeed(speed) {
+    game.setReplaySpeed(speed);
+}
+
+function closeReplay() {
+    game.closeReplay();
+}
+
+function closeVerifyModal() {
+    game.closeVerifyModal();
+}
+
+function closeShowdownModal() {
+    game.closeShowdownModal();
+}
+
 function closeWinnerDeclaredModal() {
     game.closeWinnerDeclaredModal();
 }
 
+function closeRoundSummaryModal() {
+    game.closeRoundSummaryModal();
+}
+
 function showPlayerManagement() {
     game.showPlayerManagementModal();
 }
@@ -1135,6 +3115,10 @@ function closePlayerManagementModal() {
     game.closePlayerManagementModal();
 }
 
+function moveSeat(playerId, direction) {
+    game.moveSeat(playerId, direction);
+}
+
 function changeTurnTo(playerId) {
     if (confirm('Are you sure you want to change the turn to this player?')) {
         game.changeTurn(playerId);
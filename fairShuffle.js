@@ -0,0 +1,153 @@
+// Provably fair deck shuffling, shared by the server and the browser.
+//
+// The server picks a random seed, shuffles the deck deterministically from it
+// and publishes sha256(seed | deck order) before dealing. Once the round is over
+// it reveals the seed and deck order, and anyone can recompute both here.
+(function (exports) {
+    const CARD_SUITS = ['♠', '♥', '♦', '♣'];
+    const CARD_RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+
+    const K = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+
+    // SHA-256 of a UTF-8 string as hex (kept dependency-free so it also runs over plain http)
+    function sha256(message) {
+        const bytes = Array.from(new TextEncoder().encode(message));
+        const bitLength = bytes.length * 8;
+
+        bytes.push(0x80);
+        while (bytes.length % 64 !== 56) {
+            bytes.push(0);
+        }
+        for (let i = 7; i >= 0; i--) {
+            bytes.push(i >= 4 ? 0 : (bitLength >>> (i * 8)) & 0xff);
+        }
+
+        const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const w = new Array(64);
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        for (let offset = 0; offset < bytes.length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                w[i] = ((bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3]) >>> 0;
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const temp1 = (h + S1 + ch + K[i] + w[i]) >>> 0;
+                const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const temp2 = (S0 + maj) >>> 0;
+
+                h = g;
+                g = f;
+                f = e;
+                e = (d + temp1) >>> 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (temp1 + temp2) >>> 0;
+            }
+
+            [a, b, c, d, e, f, g, h].forEach((value, i) => {
+                hash[i] = (hash[i] + value) >>> 0;
+            });
+        }
+
+        return hash.map(value => value.toString(16).padStart(8, '0')).join('');
+    }
+
+    // Helper function to turn a seed into an endless stream of 32-bit numbers (sha256 in counter mode)
+    function createRandomStream(seed) {
+        let counter = 0;
+        let words = [];
+
+        return function next() {
+            if (words.length === 0) {
+                const block = sha256(`${seed}:${counter++}`);
+                for (let i = 0; i < 64; i += 8) {
+                    words.push(parseInt(block.slice(i, i + 8), 16));
+                }
+            }
+            return words.shift();
+        };
+    }
+
+    // Helper function to draw an unbiased integer in [0, n) by rejecting the uneven tail
+    function randomBelow(next, n) {
+        const limit = Math.floor(0x100000000 / n) * n;
+        let value = next();
+        while (value >= limit) {
+            value = next();
+        }
+        return value % n;
+    }
+
+    function createDeck() {
+        const deck = [];
+        CARD_SUITS.forEach(suit => {
+            CARD_RANKS.forEach(rank => deck.push({ rank: rank, suit: suit }));
+        });
+        return deck;
+    }
+
+    // Shuffle a fresh deck with Fisher-Yates, driven entirely by the seed
+    function shuffleDeck(seed) {
+        const deck = createDeck();
+        const next = createRandomStream(seed);
+
+        for (let i = deck.length - 1; i > 0; i--) {
+            const j = randomBelow(next, i + 1);
+            [deck[i], deck[j]] = [deck[j], deck[i]];
+        }
+
+        return deck;
+    }
+
+    function formatDeck(deck) {
+        return deck.map(card => card.rank + card.suit).join(',');
+    }
+
+    // The commitment published before dealing
+    function commitDeck(seed, deck) {
+        return sha256(`${seed}|${formatDeck(deck)}`);
+    }
+
+    // Recompute a revealed round: the seed must reproduce the deck and the deck must match the commitment
+    function verifyDeal(proof) {
+        const deck = shuffleDeck(proof.seed);
+        const deckMatches = formatDeck(deck) === formatDeck(proof.deck);
+        const commitmentMatches = commitDeck(proof.seed, deck) === proof.commitment;
+
+        return {
+            deckMatches: deckMatches,
+            commitmentMatches: commitmentMatches,
+            valid: deckMatches && commitmentMatches
+        };
+    }
+
+    exports.CARD_SUITS = CARD_SUITS;
+    exports.CARD_RANKS = CARD_RANKS;
+    exports.sha256 = sha256;
+    exports.createDeck = createDeck;
+    exports.shuffleDeck = shuffleDeck;
+    exports.formatDeck = formatDeck;
+    exports.commitDeck = commitDeck;
+    exports.verifyDeal = verifyDeal;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.FairShuffle = {}));
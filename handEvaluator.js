@@ -0,0 +1,207 @@
+// Teen Patti hand ranking
+//
+// Categories from best to worst: trail (three of a kind), pure sequence
+// (straight flush), sequence, color (flush), pair, high card.
+// Sequences rank A-K-Q highest, then A-2-3, then K-Q-J down to 4-3-2.
+//
+// Variants: Muflis inverts the ranking (the lowest hand wins), AK47 makes every
+// A, K, 4 and 7 wild, Joker makes the round's joker rank wild and Lowest Joker
+// makes the lowest rank in each hand wild. Wild cards become whatever card
+// gives the best hand.
+
+const HAND_CATEGORIES = {
+    TRAIL: 6,
+    PURE_SEQUENCE: 5,
+    SEQUENCE: 4,
+    COLOR: 3,
+    PAIR: 2,
+    HIGH_CARD: 1
+};
+
+const HAND_NAMES = {
+    6: 'Trail',
+    5: 'Pure sequence',
+    4: 'Sequence',
+    3: 'Color',
+    2: 'Pair',
+    1: 'High card'
+};
+
+const RANK_VALUES = {
+    '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8,
+    '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13, 'A': 14
+};
+
+const VARIANTS = {
+    classic: 'Classic',
+    muflis: 'Muflis',
+    ak47: 'AK47',
+    joker: 'Joker',
+    lowestJoker: 'Lowest Joker'
+};
+
+const AK47_WILD_RANKS = ['A', 'K', '4', '7'];
+
+const VALUE_NAMES = {
+    2: '2', 3: '3', 4: '4', 5: '5', 6: '6', 7: '7', 8: '8',
+    9: '9', 10: '10', 11: 'J', 12: 'Q', 13: 'K', 14: 'A'
+};
+
+// Helper function to get the strength of a sequence, or 0 if the values are not one.
+// A-K-Q outranks A-2-3, which outranks K-Q-J and every other run.
+function getSequenceStrength(values) {
+    const [high, middle, low] = values;
+
+    if (high === 14 && middle === 13 && low === 12) return 15;
+    if (high === 14 && middle === 3 && low === 2) return 14;
+    if (high - middle === 1 && middle - low === 1) return high;
+
+    return 0;
+}
+
+// Helper function to list the ranks that are wild for a hand under the given variant
+function getWildRanks(cards, variant, jokerRank) {
+    switch (variant) {
+        case 'ak47':
+            return AK47_WILD_RANKS;
+        case 'joker':
+            return jokerRank ? [jokerRank] : [];
+        case 'lowestJoker': {
+            const lowest = Math.min(...cards.map(card => RANK_VALUES[card.rank]));
+            return [VALUE_NAMES[lowest]];
+        }
+        default:
+            return [];
+    }
+}
+
+// Evaluate a hand for a variant, substituting wild cards with whatever makes the best hand
+function evaluateHand(cards, options = {}) {
+    const wildRanks = getWildRanks(cards, options.variant, options.jokerRank);
+    const naturals = cards.filter(card => !wildRanks.includes(card.rank));
+    const wildCount = cards.length - naturals.length;
+
+    if (wildCount === 0) {
+        return evaluateNaturalHand(cards);
+    }
+
+    let best;
+    if (wildCount >= 2) {
+        // Two wilds always make a trail of the natural card, three make a trail of aces
+        const rank = naturals.length > 0 ? naturals[0].rank : 'A';
+        best = evaluateNaturalHand([0, 1, 2].map(i => ({ rank: rank, suit: ['♠', '♥', '♦'][i] })));
+    } else {
+        Object.keys(RANK_VALUES).forEach(rank => {
+            ['♠', '♥', '♦', '♣'].forEach(suit => {
+                const candidate = evaluateNaturalHand([...naturals, { rank: rank, suit: suit }]);
+                if (!best || compareHands(candidate, best) > 0) {
+                    best = candidate;
+                }
+            });
+        });
+    }
+
+    best.description += ' (with joker)';
+    return best;
+}
+
+// Evaluate a three-card hand into a category plus tie-break values (compared left to right)
+function evaluateNaturalHand(cards) {
+    const values = cards.map(card => RANK_VALUES[card.rank]).sort((a, b) => b - a);
+    const sameSuit = cards.every(card => card.suit === cards[0].suit);
+    const sequenceStrength = getSequenceStrength(values);
+
+    let category;
+    let tieBreak;
+
+    if (values[0] === values[2]) {
+        category = HAND_CATEGORIES.TRAIL;
+        tieBreak = [values[0]];
+    } else if (sequenceStrength && sameSuit) {
+        category = HAND_CATEGORIES.PURE_SEQUENCE;
+        tieBreak = [sequenceStrength];
+    } else if (sequenceStrength) {
+        category = HAND_CATEGORIES.SEQUENCE;
+        tieBreak = [sequenceStrength];
+    } else if (sameSuit) {
+        category = HAND_CATEGORIES.COLOR;
+        tieBreak = values;
+    } else if (values[0] === values[1] || values[1] === values[2]) {
+        category = HAND_CATEGORIES.PAIR;
+        const pairValue = values[1];
+        const kicker = values[0] === values[1] ? values[2] : values[0];
+        tieBreak = [pairValue, kicker];
+    } else {
+        category = HAND_CATEGORIES.HIGH_CARD;
+        tieBreak = values;
+    }
+
+    return {
+        category: category,
+        name: HAND_NAMES[category],
+        description: describeHand(category, values),
+        tieBreak: tieBreak
+    };
+}
+
+// Helper function to build a readable label such as "Pair of 5s" or "Sequence A-2-3"
+function describeHand(category, values) {
+    const names = values.map(value => VALUE_NAMES[value]);
+
+    switch (category) {
+        case HAND_CATEGORIES.TRAIL:
+            return `Trail of ${names[0]}s`;
+        case HAND_CATEGORIES.PURE_SEQUENCE:
+        case HAND_CATEGORIES.SEQUENCE:
+            // The low ace run reads A-2-3
+            return `${HAND_NAMES[category]} ${values[1] === 3 && values[0] === 14 ? 'A-2-3' : names.join('-')}`;
+        case HAND_CATEGORIES.PAIR:
+            return `Pair of ${names[1]}s`;
+        default:
+            return `${HAND_NAMES[category]} ${names[0]}`;
+    }
+}
+
+// Compare two evaluated hands: positive if a wins, negative if b wins, 0 for an exact tie.
+// In Muflis the lower hand wins.
+function compareHands(a, b, variant) {
+    const direction = variant === 'muflis' ? -1 : 1;
+
+    if (a.category !== b.category) {
+        return (a.category - b.category) * direction;
+    }
+
+    for (let i = 0; i < a.tieBreak.length; i++) {
+        if (a.tieBreak[i] !== b.tieBreak[i]) {
+            return (a.tieBreak[i] - b.tieBreak[i]) * direction;
+        }
+    }
+
+    return 0;
+}
+
+// Find every player holding the best hand (more than one on an exact tie)
+function findBestHands(entries, variant) {
+    let best = [];
+
+    entries.forEach(entry => {
+        const result = best.length === 0 ? 1 : compareHands(entry.hand, best[0].hand, variant);
+        if (result > 0) {
+            best = [entry];
+        } else if (result === 0) {
+            best.push(entry);
+        }
+    });
+
+    return best;
+}
+
+module.exports = {
+    HAND_CATEGORIES,
+    HAND_NAMES,
+    VARIANTS,
+    getWildRanks,
+    evaluateHand,
+    compareHands,
+    findBestHands
+};
@@ -0,0 +1,369 @@
+// Minimal QR code generator (byte mode, error correction level M, versions 1-10),
+// so payment QR codes are drawn in the browser without calling any outside service.
+(function (exports) {
+    const MAX_VERSION = 10;
+
+    // Error correction codewords per block and number of blocks at level M, indexed by version
+    const EC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+    const NUM_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+    // Format bits for level M
+    const EC_LEVEL_BITS = 0;
+
+    // Helper function to count the modules left for data after all function patterns are drawn
+    function getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    function getNumDataCodewords(version) {
+        return Math.floor(getNumRawDataModules(version) / 8) - EC_CODEWORDS_PER_BLOCK[version] * NUM_BLOCKS[version];
+    }
+
+    function getAlignmentPositions(version) {
+        if (version === 1) return [];
+
+        const numAlign = Math.floor(version / 7) + 2;
+        const size = version * 4 + 17;
+        const step = Math.ceil((size - 13) / (numAlign * 2 - 2)) * 2;
+        const positions = [6];
+        for (let pos = size - 7; positions.length < numAlign; pos -= step) {
+            positions.splice(1, 0, pos);
+        }
+        return positions;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11d);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // Helper function to turn the text into data codewords for the smallest version it fits in
+    function encodeData(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+
+        let version = 1;
+        while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > getNumDataCodewords(version) * 8) {
+            version++;
+        }
+        if (version > MAX_VERSION) {
+            throw new Error('Text is too long for a QR code');
+        }
+
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        append(0x4, 4);
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = getNumDataCodewords(version) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+
+        return { version: version, codewords: codewords };
+    }
+
+    // Helper function to split data into blocks, add error correction and interleave everything
+    function addErrorCorrection(codewords, version) {
+        const numBlocks = NUM_BLOCKS[version];
+        const ecLength = EC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = reedSolomonDivisor(ecLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const dataLength = shortBlockLength - ecLength + (i < numShortBlocks ? 0 : 1);
+            const data = codewords.slice(offset, offset + dataLength);
+            offset += dataLength;
+            blocks.push({ data: data, ec: reedSolomonRemainder(data, divisor) });
+        }
+
+        const result = [];
+        const longest = Math.max(...blocks.map(block => block.data.length));
+        for (let i = 0; i < longest; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+        return result;
+    }
+
+    function createMatrix(version) {
+        const size = version * 4 + 17;
+        const modules = [];
+        const isFunction = [];
+        for (let y = 0; y < size; y++) {
+            modules.push(new Array(size).fill(false));
+            isFunction.push(new Array(size).fill(false));
+        }
+
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap a finder
+        const positions = getAlignmentPositions(version);
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                const last = positions.length - 1;
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas (filled in once the mask is chosen) and version blocks
+        drawFormatBits(modules, isFunction, 0);
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+            }
+            const bits = version << 12 | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) !== 0;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, dark);
+                setFunction(b, a, dark);
+            }
+        }
+
+        return { size: size, modules: modules, isFunction: isFunction };
+    }
+
+    function drawFormatBits(modules, isFunction, mask) {
+        const size = modules.length;
+        const data = EC_LEVEL_BITS << 3 | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = (data << 10 | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true);
+    }
+
+    // Helper function to lay the codewords out in the two-column zigzag, bottom-right first
+    function placeCodewords(matrix, codewords) {
+        const { size, modules, isFunction } = matrix;
+        let index = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!isFunction[y][x] && index < codewords.length * 8) {
+                        modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) !== 0;
+                        index++;
+                    }
+                }
+            }
+        }
+    }
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+
+    function applyMask(matrix, mask) {
+        const { size, modules, isFunction } = matrix;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && MASKS[mask](x, y)) {
+                    modules[y][x] = !modules[y][x];
+                }
+            }
+        }
+    }
+
+    // Helper function to score a masked matrix; the lowest score is the easiest to scan
+    function getPenalty(modules) {
+        const size = modules.length;
+        let penalty = 0;
+        let dark = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += runLength - 2;
+                    runLength = 1;
+                }
+            }
+
+            const pattern = line.map(module => (module ? '1' : '0')).join('');
+            penalty += 40 * (pattern.split('10111010000').length - 1);
+            penalty += 40 * (pattern.split('00001011101').length - 1);
+        });
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (y < size - 1 && x < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+
+    // Build the module grid for a piece of text: true is a dark module
+    function encodeText(text) {
+        const { version, codewords } = encodeData(text);
+        const allCodewords = addErrorCorrection(codewords, version);
+
+        let best = null;
+        for (let mask = 0; mask < MASKS.length; mask++) {
+            const matrix = createMatrix(version);
+            placeCodewords(matrix, allCodewords);
+            applyMask(matrix, mask);
+            drawFormatBits(matrix.modules, matrix.isFunction, mask);
+
+            const penalty = getPenalty(matrix.modules);
+            if (!best || penalty < best.penalty) {
+                best = { penalty: penalty, mask: mask, modules: matrix.modules };
+            }
+        }
+
+        return { version: version, mask: best.mask, modules: best.modules };
+    }
+
+    // Render text as an SVG QR code with the standard four-module quiet zone
+    function toSvg(text, pixelSize = 180) {
+        const { modules } = encodeText(text);
+        const size = modules.length + 8;
+        let path = '';
+
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path += `M${x + 4},${y + 4}h1v1h-1z`;
+            });
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${pixelSize}" height="${pixelSize}" shape-rendering="crispEdges">` +
+            `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+
+    exports.encodeText = encodeText;
+    exports.toSvg = toSvg;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.QrCode = {}));
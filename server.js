@@ -3,6 +3,10 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
+const { VARIANTS, evaluateHand, compareHands, findBestHands } = require('./handEvaluator');
+const { CARD_RANKS, shuffleDeck, commitDeck } = require('./fairShuffle');
+const { createStorage } = require('./storage');
 
 const app = express();
 const server = http.createServer(app);
@@ -13,89 +17,236 @@ const io = socketIo(server, {
     }
 });
 
+// Only the files the browser loads are served. Everything else in the project folder (server
+// code, saved rooms under data/) stays private.
+const PUBLIC_FILES = ['index.html', 'lobby.html', 'app.js', 'fairShuffle.js', 'qrCode.js'];
+const PUBLIC_DIRS = ['assets'];
+
 // Middleware
 app.use(cors());
-app.use(express.static(path.join(__dirname)));
+PUBLIC_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
+PUBLIC_DIRS.forEach(dir => {
+    app.use(`/${dir}`, express.static(path.join(__dirname, dir)));
+});
 
 // Game state storage
 const rooms = new Map();
 
+// The room event being applied: its timestamp stands in for "now" and it records any random
+// draws, so folding the same events always rebuilds the same room. While replaying, reducers
+// only change state: nothing is sent to sockets and no timers are touched.
+let activeEvent = null;
+let randomCursor = 0;
+let replaying = false;
+
+// Every room is snapshotted here after each change and loaded back on startup
+if (process.env.STORAGE_PATH && isPublicPath(process.env.STORAGE_PATH)) {
+    throw new Error(`STORAGE_PATH ${process.env.STORAGE_PATH} is served to browsers; keep room storage outside ${PUBLIC_DIRS.join(', ')}`);
+}
+const storage = createStorage({ type: process.env.STORAGE || 'json', path: process.env.STORAGE_PATH });
+// How many events of each room are already in storage
+const savedEventCounts = new Map();
+
+// Events that only read the room, so there is nothing new to save
+const READ_ONLY_EVENTS = ['getGameLog', 'getRoundSummary', 'getReplay', 'getReplayFrame'];
+
+// Pending side show timers, kept outside the room so it stays serializable
+const sideShowTimers = new Map();
+const SIDE_SHOW_TIMEOUT_MS = 30000;
+
+// Number of actions the host can step back through
+const MAX_UNDO_STEPS = 20;
+
+// Running turn clocks, keyed by room code like sideShowTimers
+const turnTimers = new Map();
+
+const CARDS_PER_HAND = 3;
+
+// Revealed shuffle proofs kept on the room for the "verify round" view
+const MAX_DEAL_PROOFS = 10;
+
+// Events a closed table still accepts: reconnecting, leaving and reading or replaying its history
+const CLOSED_TABLE_EVENTS = ['rejoinRoom', 'leaveRoom', 'getGameLog', 'getRoundSummary', 'getReplay', 'getReplayFrame', 'setUpiId'];
+
+// UPI virtual payment address: handle@bank. Both it and player names go into the settlement
+// QR codes, so they are kept short enough for a payment link to fit in one.
+const UPI_ID_PATTERN = /^[a-zA-Z0-9._-]{1,256}@[a-zA-Z][a-zA-Z0-9.-]{1,63}$/;
+const MAX_UPI_ID_LENGTH = 50;
+const MAX_NAME_LENGTH = 24;
+
+// Above this many players who are up or down, settling up skips the search for the fewest payments
+const MAX_EXACT_SETTLEMENT_PLAYERS = 16;
+
+// What every socket at the table may see of a room and its players. New fields stay on the
+// server until they are listed here (or added to a viewer's own view in projectRoom).
+const PUBLIC_ROOM_FIELDS = [
+    'code', 'creator', 'startingBalance', 'baseStake', 'currentStake', 'bootAmount', 'potLimit',
+    'maxBlinds', 'turnTimeLimit', 'timeoutAction', 'digitalCards', 'variant', 'jokerRank', 'jokerCard',
+    'dealNumber', 'dealCommitment', 'dealProofs', 'pool', 'currentTurn', 'round', 'roundStartedAt',
+    'gameLog', 'totalBids', 'pendingSideShow', 'pendingShow', 'pots', 'dealerId', 'pendingUndo',
+    'turnTimer', 'departedPlayers', 'pendingRebuys', 'closed', 'settlement'
+];
+const PUBLIC_PLAYER_FIELDS = [
+    'id', 'name', 'balance', 'isCreator', 'packed', 'seen', 'sittingOut', 'blindCount', 'allIn',
+    'contributed', 'chaals', 'packedAt', 'upiId', 'buyIn'
+];
+
+// Log entries sent with every room update, and per history page
+const LOG_BROADCAST_SIZE = 50;
+const LOG_PAGE_SIZE = 50;
+
 // Utility functions
+// Check whether a file or directory would be downloadable over HTTP
+function isPublicPath(target) {
+    const resolved = path.resolve(target);
+    return PUBLIC_FILES.some(file => resolved === path.join(__dirname, file)) ||
+        PUBLIC_DIRS.some(dir => {
+            const publicDir = path.join(__dirname, dir);
+            return resolved === publicDir || resolved.startsWith(publicDir + path.sep);
+        });
+}
+
+// Pick a code no live (or restored) table is using, so a new room never replaces one
 function generateRoomCode() {
-    return Math.floor(1000 + Math.random() * 9000).toString();
+    let code;
+    do {
+        code = Math.floor(1000 + Math.random() * 9000).toString();
+    } while (rooms.has(code));
+    return code;
 }
 
+// Public seat identifier, shown to the whole table. It proves nothing: reconnecting takes the
+// player's session token.
 function generatePlayerId() {
-    return 'player_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    return 'seat_' + crypto.randomBytes(4).toString('hex');
 }
 
-function addToGameLog(room, message) {
-    const timestamp = new Date().toLocaleTimeString();
-    room.gameLog.push(`[${timestamp}] ${message}`);
-    
-    // Keep only last 50 entries
-    if (room.gameLog.length > 50) {
-        room.gameLog = room.gameLog.slice(-50);
+// Secret handed to a player once, at create/join time. Only its hash is kept on the server.
+function generateSessionToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Record a typed log event. The full history stays on the room for the whole session;
+// broadcasts only carry the latest entries and older ones are fetched a page at a time.
+function addToGameLog(room, message, details = {}) {
+    const entry = {
+        id: room.nextLogId++,
+        type: details.type || 'info',
+        actorId: details.actorId || null,
+        targetId: details.targetId || null,
+        amount: details.amount !== undefined ? details.amount : null,
+        round: room.round,
+        timestamp: getEventTime().toISOString(),
+        message: message
+    };
+
+    // Round-end entries point at the stored summary so it can be reopened from the log
+    if (details.summaryId) {
+        entry.summaryId = details.summaryId;
+    }
+
+    room.history.push(entry);
+    room.gameLog.push(entry);
+
+    if (room.gameLog.length > LOG_BROADCAST_SIZE) {
+        room.gameLog = room.gameLog.slice(-LOG_BROADCAST_SIZE);
     }
 }
 
-// Socket.IO connection handling
+// Socket.IO connection handling. Handlers only validate; every change is committed as a room event
+// and applied by its reducer further down, so the room is always the fold of its event stream.
 io.on('connection', (socket) => {
     console.log('User connected:', socket.id);
 
+    // Once the host closes the table the room is frozen
+    socket.use(([event], next) => {
+        const room = socket.roomCode && rooms.get(socket.roomCode);
+        if (room && room.closed && !CLOSED_TABLE_EVENTS.includes(event)) {
+            socket.emit('error', { message: 'This table is closed' });
+            return;
+        }
+        next();
+    });
+
+    // Save whichever room this socket touched once the handler has run (handlers run on the next tick)
+    socket.use(([event], next) => {
+        const roomCodeBefore = socket.roomCode;
+        next();
+
+        if (READ_ONLY_EVENTS.includes(event)) return;
+        setImmediate(() => {
+            persistRoom(roomCodeBefore);
+            if (socket.roomCode !== roomCodeBefore) {
+                persistRoom(socket.roomCode);
+            }
+        });
+    });
+
     // Create room
     socket.on('createRoom', (data) => {
-        const { creatorName, startingBalance } = data;
-        
-        if (!creatorName || !creatorName.trim()) {
+        const { creatorName, startingBalance, baseStake, bootAmount, potLimit, maxBlinds, turnTimeLimit, timeoutAction, digitalCards, variant } = data || {};
+
+        if (typeof creatorName !== 'string' || !creatorName.trim()) {
             socket.emit('error', { message: 'Please enter your name' });
             return;
         }
 
+        if (creatorName.length > MAX_NAME_LENGTH) {
+            socket.emit('error', { message: `Names can be at most ${MAX_NAME_LENGTH} characters` });
+            return;
+        }
+
         const roomCode = generateRoomCode();
         const playerId = generatePlayerId();
-        
-        const room = {
-            code: roomCode,
-            creator: creatorName,
-            startingBalance: parseInt(startingBalance) || 1000,
-            players: [{
-                id: playerId,
-                socketId: socket.id,
-                name: creatorName,
-                balance: parseInt(startingBalance) || 1000,
-                isCreator: true,
-                packed: false
-            }],
-            pool: 0,
-            currentTurn: 0,
-            round: 1,
-            gameLog: [],
-            totalBids: 0
-        };
+        const sessionToken = generateSessionToken();
 
-        rooms.set(roomCode, room);
+        // Join first so the creator also hears about the opening deal
         socket.join(roomCode);
         socket.playerId = playerId;
         socket.roomCode = roomCode;
 
-        addToGameLog(room, `${creatorName} created the room`);
+        const room = commitRoomEvent(null, 'createRoom', playerId, {
+            roomCode: roomCode,
+            socketId: socket.id,
+            tokenHash: hashSessionToken(sessionToken),
+            creatorName: creatorName,
+            startingBalance: parseInt(startingBalance) || 1000,
+            baseStake: Math.max(parseInt(baseStake) || 10, 1),
+            bootAmount: Math.max(parseInt(bootAmount) || 0, 0),
+            potLimit: Math.max(parseInt(potLimit) || 0, 0),
+            maxBlinds: Math.max(parseInt(maxBlinds) || 0, 0),
+            turnTimeLimit: Math.max(parseInt(turnTimeLimit) || 0, 0),
+            timeoutAction: timeoutAction === 'check' ? 'check' : 'pack',
+            digitalCards: !!digitalCards,
+            variant: VARIANTS[variant] ? variant : 'classic'
+        });
+
+        rooms.set(roomCode, room);
 
+        const view = projectRoom(room, playerId);
         socket.emit('roomCreated', {
             success: true,
             roomCode: roomCode,
-            player: room.players[0],
-            room: room
+            player: view.players[0],
+            sessionToken: sessionToken,
+            room: view
         });
 
         console.log(`Room ${roomCode} created by ${creatorName}`);
     });
 
-    // Rejoin room (for reconnections)
+    // Rejoin room (for reconnections). The session token issued at create/join time is the only
+    // proof of which seat this socket may take back.
     socket.on('rejoinRoom', (data) => {
-        const { roomCode, playerId, playerName } = data;
-        
-        if (!roomCode || !playerId || !playerName) {
+        const { roomCode, sessionToken } = data || {};
+
+        if (!roomCode || !sessionToken) {
             socket.emit('roomRejoined', { success: false, message: 'Invalid rejoin data' });
             return;
         }
@@ -107,38 +258,49 @@ io.on('connection', (socket) => {
         }
 
         // Check if player already exists in room
-        let player = room.players.find(p => p.id === playerId);
-        
+        const tokenHash = hashSessionToken(sessionToken);
+        const player = room.players.find(p => p.tokenHash === tokenHash);
+
         if (player) {
-            // Update socket ID for existing player
-            player.socketId = socket.id;
             socket.join(roomCode);
-            socket.playerId = playerId;
+            socket.playerId = player.id;
             socket.roomCode = roomCode;
 
-            addToGameLog(room, `${playerName} reconnected`);
+            // Update socket ID for existing player
+            commitRoomEvent(room, 'rejoinRoom', player.id, { socketId: socket.id, playerName: player.name });
 
+            const view = projectRoom(room, player.id);
             socket.emit('roomRejoined', {
                 success: true,
-                room: room
+                player: view.players.find(p => p.id === player.id),
+                room: view
             });
 
-            // Notify other players
-            socket.to(roomCode).emit('roomUpdate', room);
-            console.log(`${playerName} rejoined room ${roomCode}`);
+            if (player.seen) {
+                sendHand(room, player);
+            }
+
+            // Notify the table (each socket gets its own view)
+            broadcastRoom(room);
+            console.log(`${player.name} rejoined room ${roomCode}`);
         } else {
             // Player not in room, treat as new join
             socket.emit('roomRejoined', { success: false, message: 'Player not found in room' });
         }
     });
     socket.on('joinRoom', (data) => {
-        const { playerName, roomCode } = data;
-        
-        if (!playerName || !playerName.trim()) {
+        const { playerName, roomCode } = data || {};
+
+        if (typeof playerName !== 'string' || !playerName.trim()) {
             socket.emit('error', { message: 'Please enter your name' });
             return;
         }
 
+        if (playerName.length > MAX_NAME_LENGTH) {
+            socket.emit('error', { message: `Names can be at most ${MAX_NAME_LENGTH} characters` });
+            return;
+        }
+
         if (!roomCode || roomCode.length !== 4) {
             socket.emit('error', { message: 'Please enter a valid 4-digit room code' });
             return;
@@ -150,6 +312,11 @@ io.on('connection', (socket) => {
             return;
         }
 
+        if (room.closed) {
+            socket.emit('error', { message: 'This table has been closed by the host' });
+            return;
+        }
+
         // Check if player name already exists
         if (room.players.some(p => p.name.toLowerCase() === playerName.toLowerCase())) {
             socket.emit('error', { message: 'A player with this name already exists in the room' });
@@ -157,41 +324,35 @@ io.on('connection', (socket) => {
         }
 
         const playerId = generatePlayerId();
-        const newPlayer = {
-            id: playerId,
-            socketId: socket.id,
-            name: playerName,
-            balance: room.startingBalance,
-            isCreator: false,
-            packed: false
-        };
-
-        room.players.push(newPlayer);
+        const sessionToken = generateSessionToken();
         socket.join(roomCode);
         socket.playerId = playerId;
         socket.roomCode = roomCode;
 
-        addToGameLog(room, `${playerName} joined the game`);
+        commitRoomEvent(room, 'joinRoom', playerId, {
+            socketId: socket.id,
+            tokenHash: hashSessionToken(sessionToken),
+            playerName: playerName
+        });
 
-        // Notify the player who joined
+        // Notify the player who joined; the token is sent only here, never broadcast
+        const view = projectRoom(room, playerId);
         socket.emit('roomJoined', {
             success: true,
-            player: newPlayer,
-            room: room
+            player: view.players.find(p => p.id === playerId),
+            sessionToken: sessionToken,
+            room: view
         });
 
-        // Ensure current turn is on an active player
-        ensureActiveTurn(room);
-
         // Notify all players in the room about the update
-        io.to(roomCode).emit('roomUpdate', room);
+        broadcastRoom(room);
 
         console.log(`${playerName} joined room ${roomCode}`);
     });
 
     // Place bid
     socket.on('placeBid', (data) => {
-        const { amount } = data;
+        const { amount } = data || {};
         const roomCode = socket.roomCode;
         const playerId = socket.playerId;
 
@@ -218,35 +379,36 @@ io.on('connection', (socket) => {
             return;
         }
 
-        if (!amount || amount <= 0) {
+        if (room.pendingSideShow) {
+            socket.emit('error', { message: 'Wait for the side show to finish' });
+            return;
+        }
+
+        if (room.pendingShow) {
+            socket.emit('error', { message: 'Betting is frozen until the show is settled' });
+            return;
+        }
+
+        if (!amount || amount <= 0 || !Number.isInteger(amount)) {
             socket.emit('error', { message: 'Please enter a valid bid amount' });
             return;
         }
 
+        // Blind players bet 1x-2x the current stake, seen players 2x-4x
+        const limits = getBidLimits(room, player);
+        if (amount < limits.min || amount > limits.max) {
+            socket.emit('error', { message: `${player.seen ? 'Seen' : 'Blind'} bet must be between ₹${limits.min} and ₹${limits.max}` });
+            return;
+        }
+
         if (amount > player.balance) {
             socket.emit('error', { message: 'Insufficient balance!' });
             return;
         }
 
-        // Process the bid
-        player.balance -= amount;
-        room.pool += amount;
-        room.totalBids++;
-        
-        addToGameLog(room, `${player.name} bid ₹${amount}`);
-        
-        // Move to next active player (skip packed players)
-        moveToNextActivePlayer(room);
-
-        // Notify all players in the room
-        io.to(roomCode).emit('bidPlaced', {
-            success: true,
-            player: player.name,
-            amount: amount,
-            room: room
-        });
+        commitRoomEvent(room, 'placeBid', playerId, { amount: amount });
 
-        io.to(roomCode).emit('roomUpdate', room);
+        broadcastRoom(room);
 
         console.log(`${player.name} bid ₹${amount} in room ${roomCode}`);
     });
@@ -286,62 +448,25 @@ io.on('connection', (socket) => {
             return;
         }
 
-        // Pack the player
-        player.packed = true;
-        addToGameLog(room, `${player.name} packed (folded)`);
-
-        // Move to next active player
-        moveToNextActivePlayer(room);
-
-        // Check if only one active player remains
-        const activePlayers = room.players.filter(p => !p.packed);
-        if (activePlayers.length <= 1) {
-            // Automatically declare the remaining player as winner
-            if (activePlayers.length === 1) {
-                const winner = activePlayers[0];
-                const winAmount = room.pool;
-                winner.balance += winAmount;
-                
-                addToGameLog(room, `🏆 ${winner.name} won ₹${winAmount}! (All others packed)`);
-                
-                // Reset round
-                room.pool = 0;
-                room.round++;
-                room.totalBids = 0;
-                
-                // Set winner as starting player for next round
-                const winnerIndex = room.players.findIndex(p => p.id === winner.id);
-                room.currentTurn = winnerIndex >= 0 ? winnerIndex : 0;
-                
-                // Unpack all players for next round
-                room.players.forEach(p => p.packed = false);
-                
-                io.to(roomCode).emit('winnerDeclared', {
-                    success: true,
-                    winner: { name: winner.name, amount: winAmount },
-                    declaredBy: 'System (Auto)',
-                    room: room
-                });
-            }
+        if (room.pendingSideShow) {
+            socket.emit('error', { message: 'Wait for the side show to finish' });
+            return;
         }
 
-        // Notify all players
-        io.to(roomCode).emit('playerPacked', {
-            success: true,
-            player: player.name,
-            room: room
-        });
+        if (room.pendingShow) {
+            socket.emit('error', { message: 'Betting is frozen until the show is settled' });
+            return;
+        }
 
-        // Ensure current turn is on an active player
-        ensureActiveTurn(room);
+        commitRoomEvent(room, 'packCards', playerId, {});
 
-        io.to(roomCode).emit('roomUpdate', room);
+        broadcastRoom(room);
 
         console.log(`${player.name} packed in room ${roomCode}`);
     });
 
-    // Reset pool (creator only)
-    socket.on('resetPool', () => {
+    // See cards (switch from blind to seen)
+    socket.on('seeCards', () => {
         const roomCode = socket.roomCode;
         const playerId = socket.playerId;
 
@@ -357,41 +482,30 @@ io.on('connection', (socket) => {
         }
 
         const player = room.players.find(p => p.id === playerId);
-        if (!player || !player.isCreator) {
-            socket.emit('error', { message: 'Only the room creator can reset the pool' });
+        if (!player) {
+            socket.emit('error', { message: 'Player not found' });
             return;
         }
 
-        const finalPoolAmount = room.pool;
-        room.pool = 0;
-        room.round = 1; // Reset round to 1
-        room.totalBids = 0;
-        room.currentTurn = 0;
-
-        // Reset all players' balances to starting balance and unpack them
-        room.players.forEach(player => {
-            player.balance = room.startingBalance;
-            player.packed = false; // Unpack all players
-        });
+        if (player.packed) {
+            socket.emit('error', { message: 'You have already packed' });
+            return;
+        }
 
-        addToGameLog(room, `Pool reset by ${player.name}. Game restarted - Round ${room.round}. All balances restored to ₹${room.startingBalance}.`);
+        if (player.seen) {
+            socket.emit('error', { message: 'You have already seen your cards' });
+            return;
+        }
 
-        // Notify all players in the room
-        io.to(roomCode).emit('poolReset', {
-            success: true,
-            finalAmount: finalPoolAmount,
-            room: room,
-            message: `All player balances have been reset to ₹${room.startingBalance}`
-        });
+        commitRoomEvent(room, 'seeCards', playerId, {});
 
-        io.to(roomCode).emit('roomUpdate', room);
+        broadcastRoom(room);
 
-        console.log(`Pool reset in room ${roomCode} by ${player.name}`);
+        console.log(`${player.name} saw their cards in room ${roomCode}`);
     });
 
-    // Declare winner (host only)
-    socket.on('declareWinner', (data) => {
-        const { winnerId } = data;
+    // All-in (short-stacked player commits their remaining balance)
+    socket.on('goAllIn', () => {
         const roomCode = socket.roomCode;
         const playerId = socket.playerId;
 
@@ -406,61 +520,44 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const hostPlayer = room.players.find(p => p.id === playerId);
-        if (!hostPlayer || !hostPlayer.isCreator) {
-            socket.emit('error', { message: 'Only the host can declare a winner' });
+        const playerIndex = room.players.findIndex(p => p.id === playerId);
+        const player = room.players[playerIndex];
+
+        if (!player) {
+            socket.emit('error', { message: 'Player not found' });
             return;
         }
 
-        const winner = room.players.find(p => p.id === winnerId);
-        if (!winner) {
-            socket.emit('error', { message: 'Winner not found' });
+        if (room.currentTurn !== playerIndex) {
+            socket.emit('error', { message: "It's not your turn!" });
             return;
         }
 
-        if (room.pool <= 0) {
-            socket.emit('error', { message: 'Pool is empty. No winnings to distribute.' });
+        if (room.pendingSideShow || room.pendingShow) {
+            socket.emit('error', { message: 'Wait for the current show to finish' });
             return;
         }
 
-        // Transfer pool amount to winner
-        const winAmount = room.pool;
-        winner.balance += winAmount;
-        
-        addToGameLog(room, `🏆 ${winner.name} won ₹${winAmount}! Declared by ${hostPlayer.name}`);
-        
-        // Reset pool and start new round
-        room.pool = 0;
-        room.round++;
-        room.totalBids = 0;
-        
-        // Set winner as starting player for next round
-        const winnerIndex = room.players.findIndex(p => p.id === winner.id);
-        room.currentTurn = winnerIndex >= 0 ? winnerIndex : 0;
+        if (player.balance <= 0) {
+            socket.emit('error', { message: 'You have no balance left' });
+            return;
+        }
 
-        // Unpack all players for next round
-        room.players.forEach(p => p.packed = false);
+        if (player.balance >= getBidLimits(room, player).min) {
+            socket.emit('error', { message: 'You can still cover the stake. All-in is only for short stacks.' });
+            return;
+        }
 
-        // Notify all players about the winner
-        io.to(roomCode).emit('winnerDeclared', {
-            success: true,
-            winner: {
-                id: winner.id,
-                name: winner.name,
-                amount: winAmount
-            },
-            declaredBy: hostPlayer.name,
-            room: room
-        });
+        const amount = player.balance;
+        commitRoomEvent(room, 'goAllIn', playerId, { amount: amount });
 
-        io.to(roomCode).emit('roomUpdate', room);
+        broadcastRoom(room);
 
-        console.log(`${winner.name} declared winner of ₹${winAmount} in room ${roomCode} by ${hostPlayer.name}`);
+        console.log(`${player.name} went all-in with ₹${amount} in room ${roomCode}`);
     });
 
-    // Remove player (host only)
-    socket.on('removePlayer', (data) => {
-        const { playerIdToRemove } = data;
+    // Request side show (seen player asks the previous active seen player)
+    socket.on('requestSideShow', () => {
         const roomCode = socket.roomCode;
         const playerId = socket.playerId;
 
@@ -475,63 +572,62 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const hostPlayer = room.players.find(p => p.id === playerId);
-        if (!hostPlayer || !hostPlayer.isCreator) {
-            socket.emit('error', { message: 'Only the host can remove players' });
+        const playerIndex = room.players.findIndex(p => p.id === playerId);
+        const player = room.players[playerIndex];
+
+        if (!player) {
+            socket.emit('error', { message: 'Player not found' });
             return;
         }
 
-        const playerToRemove = room.players.find(p => p.id === playerIdToRemove);
-        if (!playerToRemove) {
-            socket.emit('error', { message: 'Player not found' });
+        if (room.currentTurn !== playerIndex) {
+            socket.emit('error', { message: "You can only ask for a side show during your turn" });
             return;
         }
 
-        if (playerToRemove.isCreator) {
-            socket.emit('error', { message: 'Host cannot remove themselves. Use Leave Room instead.' });
+        if (room.pendingSideShow) {
+            socket.emit('error', { message: 'A side show is already in progress' });
             return;
         }
 
-        // Remove the player
-        const playerIndex = room.players.findIndex(p => p.id === playerIdToRemove);
-        if (playerIndex !== -1) {
-            const removedPlayerName = room.players[playerIndex].name;
-            const removedPlayerSocketId = room.players[playerIndex].socketId;
-            
-            room.players.splice(playerIndex, 1);
-            addToGameLog(room, `${removedPlayerName} was removed by ${hostPlayer.name}`);
-            
-            // Adjust current turn if necessary
-            if (room.currentTurn >= room.players.length) {
-                room.currentTurn = 0;
-            } else if (playerIndex < room.currentTurn) {
-                room.currentTurn--;
-            }
+        if (room.pendingShow) {
+            socket.emit('error', { message: 'Betting is frozen until the show is settled' });
+            return;
+        }
 
-            // Notify the removed player
-            if (removedPlayerSocketId) {
-                io.to(removedPlayerSocketId).emit('playerRemoved', {
-                    message: `You have been removed from the room by ${hostPlayer.name}`,
-                    hostName: hostPlayer.name
-                });
-            }
+        if (!player.seen) {
+            socket.emit('error', { message: 'Only seen players can ask for a side show' });
+            return;
+        }
 
-            // Notify all remaining players in the room
-            io.to(roomCode).emit('playerLeft', {
-                playerName: removedPlayerName,
-                removedBy: hostPlayer.name,
-                room: room
-            });
+        if (room.players.filter(p => !p.packed).length <= 2) {
+            socket.emit('error', { message: 'Side show needs at least three active players' });
+            return;
+        }
 
-            io.to(roomCode).emit('roomUpdate', room);
+        const target = findSideShowTarget(room, playerIndex);
+        if (!target) {
+            socket.emit('error', { message: 'The previous active player has not seen their cards' });
+            return;
+        }
 
-            console.log(`${removedPlayerName} was removed from room ${roomCode} by ${hostPlayer.name}`);
+        // Asking for a side show costs a regular chaal
+        const amount = getBidLimits(room, player).min;
+        if (amount > player.balance) {
+            socket.emit('error', { message: 'Insufficient balance!' });
+            return;
         }
+
+        commitRoomEvent(room, 'requestSideShow', playerId, { targetId: target.id, amount: amount });
+
+        broadcastRoom(room);
+
+        console.log(`${player.name} asked ${target.name} for a side show in room ${roomCode}`);
     });
 
-    // Change turn (host only)
-    socket.on('changeTurn', (data) => {
-        const { newTurnPlayerId } = data;
+    // Respond to side show (target player accepts or declines)
+    socket.on('respondSideShow', (data) => {
+        const { accept } = data || {};
         const roomCode = socket.roomCode;
         const playerId = socket.playerId;
 
@@ -546,163 +642,3055 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const hostPlayer = room.players.find(p => p.id === playerId);
-        if (!hostPlayer || !hostPlayer.isCreator) {
-            socket.emit('error', { message: 'Only the host can change turn' });
+        const sideShow = room.pendingSideShow;
+        if (!sideShow || sideShow.accepted) {
+            socket.emit('error', { message: 'No side show is waiting for a response' });
             return;
         }
 
-        const newTurnPlayerIndex = room.players.findIndex(p => p.id === newTurnPlayerId);
-        if (newTurnPlayerIndex === -1) {
-            socket.emit('error', { message: 'Player not found' });
+        if (sideShow.targetId !== playerId) {
+            socket.emit('error', { message: 'This side show was not asked of you' });
             return;
         }
 
-        const newTurnPlayer = room.players[newTurnPlayerIndex];
+        const target = room.players.find(p => p.id === playerId);
+        commitRoomEvent(room, 'respondSideShow', playerId, { accept: !!accept });
 
-        // Check if the selected player is packed
-        if (newTurnPlayer.packed) {
-            socket.emit('error', { message: 'Cannot set turn to a packed player' });
+        broadcastRoom(room);
+
+        console.log(`${target.name} ${accept ? 'accepted' : 'declined'} side show in room ${roomCode}`);
+    });
+
+    // Record side show result (host or either side show player)
+    socket.on('resolveSideShow', (data) => {
+        const { loserId } = data || {};
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
             return;
         }
 
-        // Change the turn
-        room.currentTurn = newTurnPlayerIndex;
-        
-        addToGameLog(room, `Turn changed to ${newTurnPlayer.name} by ${hostPlayer.name}`);
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
 
-        // Notify all players
-        io.to(roomCode).emit('turnChanged', {
-            success: true,
-            newTurnPlayer: newTurnPlayer.name,
-            changedBy: hostPlayer.name,
-            room: room
-        });
+        const sideShow = room.pendingSideShow;
+        if (!sideShow || !sideShow.accepted) {
+            socket.emit('error', { message: 'No accepted side show to resolve' });
+            return;
+        }
 
-        io.to(roomCode).emit('roomUpdate', room);
+        const player = room.players.find(p => p.id === playerId);
+        const isParticipant = playerId === sideShow.requesterId || playerId === sideShow.targetId;
+        if (!player || (!player.isCreator && !isParticipant)) {
+            socket.emit('error', { message: 'Only the host or the side show players can record the result' });
+            return;
+        }
 
-        console.log(`Turn changed to ${newTurnPlayer.name} in room ${roomCode} by ${hostPlayer.name}`);
+        if (loserId !== sideShow.requesterId && loserId !== sideShow.targetId) {
+            socket.emit('error', { message: 'The loser must be one of the side show players' });
+            return;
+        }
+
+        const loser = room.players.find(p => p.id === loserId);
+        const winner = room.players.find(p => p.id === (loserId === sideShow.requesterId ? sideShow.targetId : sideShow.requesterId));
+        commitRoomEvent(room, 'resolveSideShow', playerId, { loserId: loserId });
+
+        broadcastRoom(room);
+
+        console.log(`${winner.name} won side show against ${loser.name} in room ${roomCode}`);
     });
 
-    // Leave room
-    socket.on('leaveRoom', () => {
+    // Request show (only when two active players remain)
+    socket.on('requestShow', () => {
         const roomCode = socket.roomCode;
         const playerId = socket.playerId;
 
         if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
             return;
         }
 
         const room = rooms.get(roomCode);
         if (!room) {
+            socket.emit('error', { message: 'Room not found' });
             return;
         }
 
         const playerIndex = room.players.findIndex(p => p.id === playerId);
-        if (playerIndex !== -1) {
-            const playerName = room.players[playerIndex].name;
-            const wasCreator = room.players[playerIndex].isCreator;
-            
-            room.players.splice(playerIndex, 1);
-            addToGameLog(room, `${playerName} left the game`);
-            
-            // If creator left and there are other players, make the first player the new creator
-            if (wasCreator && room.players.length > 0) {
-                room.players[0].isCreator = true;
-                room.creator = room.players[0].name;
-            }
-            
-            // If room is empty, delete it
-            if (room.players.length === 0) {
-                rooms.delete(roomCode);
-                console.log(`Room ${roomCode} deleted (empty)`);
-            } else {
-                // Adjust current turn if necessary
-                if (room.currentTurn >= room.players.length) {
-                    room.currentTurn = 0;
-                }
-                
-                // Notify remaining players
-                io.to(roomCode).emit('playerLeft', {
-                    playerName: playerName,
-                    room: room
-                });
-                
-                io.to(roomCode).emit('roomUpdate', room);
-            }
+        const player = room.players[playerIndex];
+
+        if (!player) {
+            socket.emit('error', { message: 'Player not found' });
+            return;
+        }
+
+        if (room.currentTurn !== playerIndex) {
+            socket.emit('error', { message: "You can only ask for a show during your turn" });
+            return;
+        }
+
+        if (room.pendingShow || room.pendingSideShow) {
+            socket.emit('error', { message: 'A show is already in progress' });
+            return;
+        }
+
+        if (room.players.filter(p => !p.packed).length !== 2) {
+            socket.emit('error', { message: 'A show is only allowed when two players remain' });
+            return;
+        }
+
+        // The show costs the player's regular bet at the current stake
+        const amount = getBidLimits(room, player).min;
+        if (amount > player.balance) {
+            socket.emit('error', { message: 'Insufficient balance!' });
+            return;
+        }
+
+        commitRoomEvent(room, 'requestShow', playerId, { amount: amount });
+
+        broadcastRoom(room);
+
+        console.log(`${player.name} asked for a show in room ${roomCode}`);
+    });
+
+    // Pick the show winner (show players propose, the host confirms). With side pots the host
+    // may pick a winner per pot in `potWinnerIds`; a pot only one player can win goes to them.
+    socket.on('resolveShow', (data) => {
+        const { winnerId, potWinnerIds } = data || {};
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const show = room.pendingShow;
+        if (!show) {
+            socket.emit('error', { message: 'No show is in progress' });
+            return;
+        }
+
+        const player = room.players.find(p => p.id === playerId);
+        const isShowPlayer = show.playerIds.includes(playerId);
+        if (!player || (!player.isCreator && !isShowPlayer)) {
+            socket.emit('error', { message: 'Only the host or the show players can pick the winner' });
+            return;
+        }
+
+        if (!player.isCreator) {
+            const winner = room.players.find(p => p.id === winnerId);
+            if (!winner || !isShowPlayer || !show.playerIds.includes(winnerId)) {
+                socket.emit('error', { message: 'The winner must be one of the show players' });
+                return;
+            }
+
+            commitRoomEvent(room, 'resolveShow', playerId, { winnerId: winnerId });
+            broadcastRoom(room);
+            return;
+        }
+
+        const pots = buildPots(room);
+        const picks = Array.isArray(potWinnerIds) ? potWinnerIds : pots.map(() => winnerId);
+        if (picks.length !== pots.length) {
+            socket.emit('error', { message: 'Pick the winner of every pot' });
+            return;
+        }
+
+        const selectedIds = [];
+        for (let i = 0; i < pots.length; i++) {
+            const id = pots[i].eligibleIds.length === 1 ? pots[i].eligibleIds[0] : picks[i];
+            const winner = room.players.find(p => p.id === id);
+            if (!winner || !show.playerIds.includes(id)) {
+                socket.emit('error', { message: 'The winner must be one of the show players' });
+                return;
+            }
+
+            if (!pots[i].eligibleIds.includes(id)) {
+                socket.emit('error', { message: `${winner.name} didn't match the ${pots[i].name}, so it needs its own winner` });
+                return;
+            }
+            selectedIds.push(id);
+        }
+
+        const totalAmount = room.pool;
+        commitRoomEvent(room, 'resolveShow', playerId, { potWinnerIds: selectedIds });
+
+        broadcastRoom(room);
+
+        const winners = getLastRoundSummary(room).winners;
+        console.log(`${winners.map(w => w.name).join(', ')} won the show for ₹${totalAmount} in room ${roomCode}`);
+    });
+
+    // Ask for a rebuy or top-up (the host's own request applies immediately)
+    socket.on('requestRebuy', (data) => {
+        const amount = parseInt(data && data.amount);
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const player = room.players.find(p => p.id === playerId);
+        if (!player) {
+            socket.emit('error', { message: 'Player not found' });
+            return;
+        }
+
+        if (!amount || amount <= 0) {
+            socket.emit('error', { message: 'Please enter a valid rebuy amount' });
+            return;
+        }
+
+        if (!player.isCreator && room.pendingRebuys.some(request => request.playerId === player.id)) {
+            socket.emit('error', { message: 'Your rebuy request is already waiting for the host' });
+            return;
+        }
+
+        commitRoomEvent(room, 'requestRebuy', playerId, { amount: amount });
+
+        broadcastRoom(room);
+
+        console.log(`${player.name} ${player.isCreator ? 'added' : 'requested'} a ₹${amount} rebuy in room ${roomCode}`);
+    });
+
+    // Approve or reject a rebuy or top-up request (host only)
+    socket.on('respondRebuy', (data) => {
+        const { requestId, approve } = data || {};
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const hostPlayer = room.players.find(p => p.id === playerId);
+        if (!hostPlayer || !hostPlayer.isCreator) {
+            socket.emit('error', { message: 'Only the host can approve rebuys' });
+            return;
+        }
+
+        const request = room.pendingRebuys.find(r => r.id === requestId);
+        if (!request) {
+            socket.emit('error', { message: 'That rebuy request is no longer pending' });
+            return;
+        }
+
+        // A request from someone who has since left is simply dropped
+        const player = room.players.find(p => p.id === request.playerId);
+        commitRoomEvent(room, 'respondRebuy', playerId, { requestId: requestId, approve: !!approve });
+
+        if (!player) {
+            socket.emit('error', { message: 'Player not found' });
+            broadcastRoom(room);
+            return;
+        }
+
+        broadcastRoom(room);
+
+        console.log(`${hostPlayer.name} ${approve ? 'approved' : 'rejected'} ${player.name}'s rebuy in room ${roomCode}`);
+    });
+
+    // Request undo of the most recent action (the host's own request applies immediately)
+    socket.on('requestUndo', () => {
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const player = room.players.find(p => p.id === playerId);
+        if (!player) {
+            socket.emit('error', { message: 'Player not found' });
+            return;
+        }
+
+        const lastAction = room.undoStack[room.undoStack.length - 1];
+        if (!lastAction) {
+            socket.emit('error', { message: 'There is nothing to undo' });
+            return;
+        }
+
+        if (!player.isCreator && room.pendingUndo) {
+            socket.emit('error', { message: 'An undo request is already waiting for the host' });
+            return;
+        }
+
+        const blocker = getUndoBlocker(room, lastAction);
+        if (blocker) {
+            socket.emit('error', { message: `Can't undo "${lastAction.description}": ${blocker}` });
+            return;
+        }
+
+        commitRoomEvent(room, 'requestUndo', playerId, {});
+
+        broadcastRoom(room);
+
+        console.log(`${player.name} ${player.isCreator ? 'undid' : 'requested undo of'} "${lastAction.description}" in room ${roomCode}`);
+    });
+
+    // Approve or reject a pending undo request (host only)
+    socket.on('respondUndo', (data) => {
+        const { approve } = data || {};
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const hostPlayer = room.players.find(p => p.id === playerId);
+        if (!hostPlayer || !hostPlayer.isCreator) {
+            socket.emit('error', { message: 'Only the host can approve an undo' });
+            return;
+        }
+
+        const request = room.pendingUndo;
+        if (!request) {
+            socket.emit('error', { message: 'No undo request is waiting' });
+            return;
+        }
+
+        const lastAction = room.undoStack[room.undoStack.length - 1];
+        const movedOn = approve && (!lastAction || lastAction.id !== request.undoId);
+        const blocker = approve && !movedOn && getUndoBlocker(room, lastAction);
+
+        commitRoomEvent(room, 'respondUndo', playerId, { approve: !!approve });
+
+        if (movedOn) {
+            socket.emit('error', { message: 'The game has moved on since this undo was requested' });
+        } else if (blocker) {
+            socket.emit('error', { message: `Can't undo "${lastAction.description}": ${blocker}` });
+        }
+
+        broadcastRoom(room);
+
+        console.log(`${hostPlayer.name} ${approve && !movedOn && !blocker ? 'approved' : 'dropped'} an undo in room ${roomCode}`);
+    });
+
+    // Fetch a page of older log history, optionally filtered by round, player and event type
+    socket.on('getGameLog', (data) => {
+        const { beforeId, round, type } = data || {};
+        const filterPlayerId = data && data.playerId;
+        const roomCode = socket.roomCode;
+
+        if (!roomCode || !socket.playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const matches = room.history.filter(entry =>
+            (!beforeId || entry.id < beforeId) &&
+            (!round || entry.round === parseInt(round)) &&
+            (!filterPlayerId || entry.actorId === filterPlayerId || entry.targetId === filterPlayerId) &&
+            (!type || entry.type === type)
+        );
+        const entries = matches.slice(-LOG_PAGE_SIZE);
+
+        socket.emit('gameLogPage', {
+            success: true,
+            entries: entries,
+            hasMore: matches.length > entries.length,
+            beforeId: beforeId || null,
+            filters: { round: round || null, playerId: filterPlayerId || null, type: type || null }
+        });
+    });
+
+    // Reopen a stored round summary from the log
+    socket.on('getRoundSummary', (data) => {
+        const { summaryId } = data || {};
+        const roomCode = socket.roomCode;
+
+        if (!roomCode || !socket.playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const summary = room.roundSummaries.find(s => s.id === parseInt(summaryId));
+        if (!summary) {
+            socket.emit('error', { message: 'Round summary not found' });
+            return;
+        }
+
+        socket.emit('roundSummary', { success: true, summary: summary });
+    });
+
+    // List the session's steps for the replay viewer. Raw events stay on the server: they carry
+    // socket ids and the shuffle seed of the round in play.
+    socket.on('getReplay', () => {
+        const roomCode = socket.roomCode;
+
+        if (!roomCode || !socket.playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        socket.emit('replayTimeline', {
+            success: true,
+            roomCode: roomCode,
+            steps: buildReplayTimeline(room.events)
+        });
+    });
+
+    // The table as it stood right after one step, rebuilt from the event stream
+    socket.on('getReplayFrame', (data) => {
+        const seq = parseInt(data && data.seq);
+        const roomCode = socket.roomCode;
+
+        if (!roomCode || !socket.playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        if (!(seq >= 1 && seq <= room.events.length)) {
+            socket.emit('error', { message: 'Replay step not found' });
+            return;
+        }
+
+        // Stepping forward carries on from the last frame this socket was sent instead of
+        // folding the whole stream again; stepping back starts over from the first event
+        const cursor = socket.replayCursor;
+        const from = cursor && cursor.events === room.events && cursor.room.events.length <= seq
+            ? cursor.room
+            : null;
+        const frame = replayRoom(room.events, { untilSeq: seq, from: from });
+        socket.replayCursor = { events: room.events, room: frame };
+
+        socket.emit('replayFrame', {
+            success: true,
+            seq: seq,
+            room: projectRoom(frame, socket.playerId)
+        });
+    });
+
+    // Change the game variant (host only, before any betting in the round)
+    socket.on('setVariant', (data) => {
+        const { variant } = data || {};
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const player = room.players.find(p => p.id === playerId);
+        if (!player || !player.isCreator) {
+            socket.emit('error', { message: 'Only the host can change the variant' });
+            return;
+        }
+
+        if (!VARIANTS[variant]) {
+            socket.emit('error', { message: 'Unknown variant' });
+            return;
+        }
+
+        if (room.totalBids > 0 || room.pendingShow || room.pendingSideShow) {
+            socket.emit('error', { message: 'The variant can only be changed between rounds' });
+            return;
+        }
+
+        if (variant === room.variant) {
+            return;
+        }
+
+        commitRoomEvent(room, 'setVariant', playerId, { variant: variant });
+
+        broadcastRoom(room);
+
+        console.log(`Variant changed to ${VARIANTS[variant]} in room ${roomCode} by ${player.name}`);
+    });
+
+    // Reset pool (creator only)
+    socket.on('resetPool', () => {
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const player = room.players.find(p => p.id === playerId);
+        if (!player || !player.isCreator) {
+            socket.emit('error', { message: 'Only the room creator can reset the pool' });
+            return;
+        }
+
+        commitRoomEvent(room, 'resetPool', playerId, {});
+
+        broadcastRoom(room);
+
+        console.log(`Pool reset in room ${roomCode} by ${player.name}`);
+    });
+
+    // Cancel round (host only) - refund everyone's contributions and replay the round
+    socket.on('cancelRound', () => {
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const hostPlayer = room.players.find(p => p.id === playerId);
+        if (!hostPlayer || !hostPlayer.isCreator) {
+            socket.emit('error', { message: 'Only the host can cancel the round' });
+            return;
+        }
+
+        if (room.pool <= 0) {
+            socket.emit('error', { message: 'Pool is empty. Nothing to refund.' });
+            return;
+        }
+
+        const round = room.round;
+        commitRoomEvent(room, 'cancelRound', playerId, {});
+
+        broadcastRoom(room);
+
+        console.log(`Round ${round} cancelled in room ${roomCode} by ${hostPlayer.name}`);
+    });
+
+    // Save (or clear) the UPI ID other players pay you at when settling up
+    socket.on('setUpiId', (data) => {
+        const upiId = String((data && data.upiId) || '').trim();
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const player = room.players.find(p => p.id === playerId);
+        if (!player) {
+            socket.emit('error', { message: 'Player not found' });
+            return;
+        }
+
+        if (upiId && (upiId.length > MAX_UPI_ID_LENGTH || !UPI_ID_PATTERN.test(upiId))) {
+            socket.emit('error', { message: `Please enter a valid UPI ID of up to ${MAX_UPI_ID_LENGTH} characters (for example name@bank)` });
+            return;
+        }
+
+        commitRoomEvent(room, 'setUpiId', playerId, { upiId: upiId || null });
+
+        socket.emit('upiIdSaved', { success: true, upiId: player.upiId });
+        broadcastRoom(room);
+
+        console.log(`${player.name} ${player.upiId ? 'saved' : 'cleared'} their UPI ID in room ${roomCode}`);
+    });
+
+    // Close the table (host only): refund the unfinished round, freeze the room and work out who pays whom
+    socket.on('closeTable', () => {
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const hostPlayer = room.players.find(p => p.id === playerId);
+        if (!hostPlayer || !hostPlayer.isCreator) {
+            socket.emit('error', { message: 'Only the host can close the table' });
+            return;
+        }
+
+        commitRoomEvent(room, 'closeTable', playerId, {});
+
+        broadcastRoom(room);
+
+        console.log(`Table ${roomCode} closed by ${hostPlayer.name}`);
+    });
+
+    // Declare winner (host only)
+    socket.on('declareWinner', (data) => {
+        const { winnerId, potWinnerIds } = data || {};
+        const winnerIds = Array.isArray(data && data.winnerIds) ? data.winnerIds : [winnerId];
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const hostPlayer = room.players.find(p => p.id === playerId);
+        if (!hostPlayer || !hostPlayer.isCreator) {
+            socket.emit('error', { message: 'Only the host can declare a winner' });
+            return;
+        }
+
+        if (room.pool <= 0) {
+            socket.emit('error', { message: 'Pool is empty. No winnings to distribute.' });
+            return;
+        }
+
+        // With side pots the host picks the winner(s) of every pot separately
+        const pots = buildPots(room);
+        const potSelections = pots.length > 1 ? potWinnerIds : [winnerIds];
+        if (!Array.isArray(potSelections) || potSelections.length !== pots.length) {
+            socket.emit('error', { message: 'Pick the winner(s) of every pot' });
+            return;
+        }
+
+        for (let i = 0; i < pots.length; i++) {
+            const ids = Array.isArray(potSelections[i]) ? potSelections[i] : [];
+            const selectedWinners = room.players.filter(p => ids.includes(p.id));
+            if (selectedWinners.length === 0 || selectedWinners.length !== new Set(ids).size) {
+                socket.emit('error', { message: 'Winner not found' });
+                return;
+            }
+
+            if (selectedWinners.some(p => !pots[i].eligibleIds.includes(p.id))) {
+                socket.emit('error', { message: `${pots[i].name} can only be won by players who matched it` });
+                return;
+            }
+        }
+
+        const totalAmount = room.pool;
+        commitRoomEvent(room, 'declareWinner', playerId, {
+            potWinnerIds: potSelections.map(ids => [...new Set(ids)])
+        });
+
+        broadcastRoom(room);
+
+        const winners = getLastRoundSummary(room).winners;
+        console.log(`${winners.map(w => w.name).join(', ')} declared winner(s) of ₹${totalAmount} in room ${roomCode} by ${hostPlayer.name}`);
+    });
+
+    // Remove player (host only)
+    socket.on('removePlayer', (data) => {
+        const { playerIdToRemove } = data || {};
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const hostPlayer = room.players.find(p => p.id === playerId);
+        if (!hostPlayer || !hostPlayer.isCreator) {
+            socket.emit('error', { message: 'Only the host can remove players' });
+            return;
+        }
+
+        const playerToRemove = room.players.find(p => p.id === playerIdToRemove);
+        if (!playerToRemove) {
+            socket.emit('error', { message: 'Player not found' });
+            return;
+        }
+
+        if (playerToRemove.isCreator) {
+            socket.emit('error', { message: 'Host cannot remove themselves. Use Leave Room instead.' });
+            return;
+        }
+
+        commitRoomEvent(room, 'removePlayer', playerId, { playerId: playerIdToRemove });
+
+        broadcastRoom(room);
+
+        console.log(`${playerToRemove.name} was removed from room ${roomCode} by ${hostPlayer.name}`);
+    });
+
+    // Rearrange seats (host only); balances and the current turn stay with their players
+    socket.on('rearrangeSeats', (data) => {
+        const { playerIds } = data || {};
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const hostPlayer = room.players.find(p => p.id === playerId);
+        if (!hostPlayer || !hostPlayer.isCreator) {
+            socket.emit('error', { message: 'Only the host can rearrange seats' });
+            return;
+        }
+
+        const sameSeats = Array.isArray(playerIds) &&
+            playerIds.length === room.players.length &&
+            new Set(playerIds).size === playerIds.length &&
+            room.players.every(p => playerIds.includes(p.id));
+        if (!sameSeats) {
+            socket.emit('error', { message: 'The seating must include every player exactly once' });
+            return;
+        }
+
+        if (room.pendingSideShow) {
+            socket.emit('error', { message: 'Wait for the side show to finish' });
+            return;
+        }
+
+        commitRoomEvent(room, 'rearrangeSeats', playerId, { playerIds: playerIds.slice() });
+
+        broadcastRoom(room);
+
+        console.log(`Seats rearranged in room ${roomCode} by ${hostPlayer.name}`);
+    });
+
+    // Change turn (host only)
+    socket.on('changeTurn', (data) => {
+        const { newTurnPlayerId } = data || {};
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            socket.emit('error', { message: 'You are not in a room' });
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        const hostPlayer = room.players.find(p => p.id === playerId);
+        if (!hostPlayer || !hostPlayer.isCreator) {
+            socket.emit('error', { message: 'Only the host can change turn' });
+            return;
+        }
+
+        const newTurnPlayer = room.players.find(p => p.id === newTurnPlayerId);
+        if (!newTurnPlayer) {
+            socket.emit('error', { message: 'Player not found' });
+            return;
+        }
+
+        // Check if the selected player is packed
+        if (newTurnPlayer.packed) {
+            socket.emit('error', { message: 'Cannot set turn to a packed player' });
+            return;
+        }
+
+        if (newTurnPlayer.allIn) {
+            socket.emit('error', { message: 'Cannot set turn to an all-in player' });
+            return;
+        }
+
+        commitRoomEvent(room, 'changeTurn', playerId, { playerId: newTurnPlayerId });
+
+        broadcastRoom(room);
+
+        console.log(`Turn changed to ${newTurnPlayer.name} in room ${roomCode} by ${hostPlayer.name}`);
+    });
+
+    // Leave room
+    socket.on('leaveRoom', () => {
+        const roomCode = socket.roomCode;
+        const playerId = socket.playerId;
+
+        if (!roomCode || !playerId) {
+            return;
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            return;
+        }
+
+        const player = room.players.find(p => p.id === playerId);
+        if (player) {
+            commitRoomEvent(room, 'leaveRoom', playerId, {});
+
+            // If room is empty, delete it
+            if (room.players.length === 0) {
+                rooms.delete(roomCode);
+                console.log(`Room ${roomCode} deleted (empty)`);
+            } else {
+                broadcastRoom(room);
+            }
+
+            console.log(`${player.name} left room ${roomCode}`);
+        }
+
+        socket.leave(roomCode);
+        socket.playerId = null;
+        socket.roomCode = null;
+    });
+
+    // Handle disconnect
+    socket.on('disconnect', () => {
+        console.log('User disconnected:', socket.id);
+
+        // Don't immediately remove player - they might reconnect
+        // Just mark them as disconnected and set a timeout
+        for (const [roomCode, room] of rooms.entries()) {
+            const player = room.players.find(p => p.socketId === socket.id);
+            if (player) {
+                console.log(`${player.name} disconnected from room ${roomCode}, waiting for reconnection...`);
+
+                scheduleDisconnectRemoval(roomCode, player);
+
+                break;
+            }
+        }
+    });
+});
+
+// Reducers for every room event. Each one applies a recorded event to the room (createRoom builds it)
+// and announces the change to the table; while replaying, only the state changes.
+const roomEventReducers = {
+    createRoom(room, event) {
+        const data = event.data;
+        const newRoom = {
+            code: data.roomCode,
+            creator: data.creatorName,
+            startingBalance: data.startingBalance,
+            baseStake: data.baseStake,
+            currentStake: data.baseStake,
+            bootAmount: data.bootAmount,
+            potLimit: data.potLimit,
+            maxBlinds: data.maxBlinds,
+            turnTimeLimit: data.turnTimeLimit,
+            timeoutAction: data.timeoutAction,
+            digitalCards: data.digitalCards,
+            variant: data.variant,
+            jokerRank: null,
+            jokerCard: null,
+            dealNumber: 0,
+            dealCommitment: null,
+            dealProofs: [],
+            players: [{
+                id: event.actorId,
+                name: data.creatorName,
+                balance: data.startingBalance,
+                isCreator: true,
+                packed: false,
+                seen: false,
+                sittingOut: false,
+                blindCount: 0,
+                allIn: false,
+                contributed: 0,
+                chaals: 0,
+                packedAt: null,
+                upiId: null,
+                buyIn: data.startingBalance
+            }],
+            pool: 0,
+            currentTurn: 0,
+            round: 1,
+            roundStartedAt: getEventTime().toISOString(),
+            gameLog: [],
+            nextLogId: 1,
+            totalBids: 0,
+            pendingSideShow: null,
+            pendingShow: null,
+            pots: [],
+            dealerId: event.actorId,
+            undoStack: [],
+            pendingUndo: null,
+            nextUndoId: 1,
+            nextSummaryId: 1,
+            turnNumber: 0,
+            turnTimer: null,
+            departedPlayers: [],
+            pendingRebuys: [],
+            nextRebuyId: 1,
+            closed: false,
+            settlement: null
+        };
+
+        defineRoomInternals(newRoom);
+        definePlayerInternals(newRoom.players[0], data.socketId, data.tokenHash);
+
+        addToGameLog(newRoom, `${data.creatorName} created the room`, { type: 'room', actorId: event.actorId });
+        dealCards(newRoom);
+        announceVariant(newRoom);
+
+        return newRoom;
+    },
+
+    rejoinRoom(room, event) {
+        const player = room.players.find(p => p.id === event.actorId);
+        player.socketId = event.data.socketId;
+
+        addToGameLog(room, `${event.data.playerName} reconnected`, { type: 'room', actorId: player.id });
+    },
+
+    joinRoom(room, event) {
+        const newPlayer = {
+            id: event.actorId,
+            name: event.data.playerName,
+            balance: room.startingBalance,
+            isCreator: false,
+            packed: false,
+            seen: false,
+            sittingOut: false,
+            blindCount: 0,
+            allIn: false,
+            contributed: 0,
+            chaals: 0,
+            packedAt: null,
+            upiId: null,
+            buyIn: room.startingBalance
+        };
+        definePlayerInternals(newPlayer, event.data.socketId, event.data.tokenHash);
+
+        room.players.push(newPlayer);
+
+        addToGameLog(room, `${newPlayer.name} joined the game`, { type: 'room', actorId: newPlayer.id });
+        seatLatecomer(room, newPlayer);
+
+        // Until someone bets, the first action stays with the seat after the dealer
+        if (room.totalBids === 0 && !room.pendingShow && !room.pendingSideShow) {
+            room.currentTurn = getSeatAfterDealer(room);
+        }
+
+        // Ensure current turn is on an active player
+        ensureActiveTurn(room);
+
+        syncTurnTimer(room);
+    },
+
+    placeBid(room, event) {
+        const player = room.players.find(p => p.id === event.actorId);
+        const amount = event.data.amount;
+
+        recordUndoPoint(room, player, `${player.name} bid ₹${amount}`);
+
+        applyBid(room, player, amount);
+        syncTurnTimer(room);
+
+        emitLive(room.code, 'bidPlaced', {
+            success: true,
+            player: player.name,
+            amount: amount,
+            room: room
+        });
+    },
+
+    packCards(room, event) {
+        const player = room.players.find(p => p.id === event.actorId);
+
+        recordUndoPoint(room, player, `${player.name} packed`);
+
+        applyPack(room, player);
+        syncTurnTimer(room);
+
+        emitLive(room.code, 'playerPacked', {
+            success: true,
+            player: player.name,
+            room: room
+        });
+    },
+
+    seeCards(room, event) {
+        const player = room.players.find(p => p.id === event.actorId);
+
+        player.seen = true;
+        addToGameLog(room, `${player.name} saw their cards`, { type: 'see', actorId: player.id });
+        sendHand(room, player);
+
+        emitLive(room.code, 'cardsSeen', {
+            success: true,
+            player: player.name,
+            room: room
+        });
+    },
+
+    goAllIn(room, event) {
+        const player = room.players.find(p => p.id === event.actorId);
+        const amount = event.data.amount;
+
+        recordUndoPoint(room, player, `${player.name} went all-in with ₹${amount}`);
+
+        addToPool(room, player, amount);
+        player.allIn = true;
+        refreshPots(room);
+        room.totalBids++;
+
+        addToGameLog(room, `${player.name} went all-in with ₹${amount}`, { type: 'bid', actorId: player.id, amount: amount });
+
+        moveToNextActivePlayer(room);
+        checkForcedShow(room);
+
+        syncTurnTimer(room);
+
+        emitLive(room.code, 'bidPlaced', {
+            success: true,
+            player: player.name,
+            amount: amount,
+            allIn: true,
+            room: room
+        });
+    },
+
+    requestSideShow(room, event) {
+        const player = room.players.find(p => p.id === event.actorId);
+        const target = room.players.find(p => p.id === event.data.targetId);
+        const amount = event.data.amount;
+
+        addToPool(room, player, amount);
+        room.totalBids++;
+
+        room.pendingSideShow = {
+            requesterId: player.id,
+            targetId: target.id,
+            amount: amount,
+            accepted: false,
+            expiresAt: getEventTime().getTime() + SIDE_SHOW_TIMEOUT_MS
+        };
+
+        addToGameLog(room, `${player.name} bid ₹${amount} and asked ${target.name} for a side show`, {
+            type: 'sideShow', actorId: player.id, targetId: target.id, amount: amount
+        });
+
+        startSideShowTimer(room);
+        syncTurnTimer(room);
+
+        emitLive(room.code, 'sideShowRequested', {
+            success: true,
+            requester: player.name,
+            target: target.name,
+            amount: amount,
+            room: room
+        });
+    },
+
+    respondSideShow(room, event) {
+        const sideShow = room.pendingSideShow;
+        const requester = room.players.find(p => p.id === sideShow.requesterId);
+        const target = room.players.find(p => p.id === sideShow.targetId);
+
+        clearSideShowTimer(room.code);
+
+        if (!event.data.accept) {
+            room.pendingSideShow = null;
+            addToGameLog(room, `${target.name} declined the side show from ${requester.name}`, {
+                type: 'sideShow', actorId: target.id, targetId: requester.id
+            });
+
+            moveToNextActivePlayer(room);
+            checkForcedShow(room);
+
+            emitLive(room.code, 'sideShowResolved', {
+                success: true,
+                accepted: false,
+                requester: requester.name,
+                target: target.name,
+                room: room
+            });
+        } else {
+            sideShow.accepted = true;
+            sideShow.expiresAt = null;
+            addToGameLog(room, `${target.name} accepted the side show from ${requester.name}`, {
+                type: 'sideShow', actorId: target.id, targetId: requester.id
+            });
+
+            emitLive(room.code, 'sideShowAccepted', {
+                success: true,
+                requester: requester.name,
+                target: target.name,
+                room: room
+            });
+
+            // With dealt cards the server settles it straight away
+            if (hasDealtHands(room, [requester, target])) {
+                resolveSideShowByCards(room, requester, target);
+            }
+        }
+
+        syncTurnTimer(room);
+    },
+
+    resolveSideShow(room, event) {
+        const sideShow = room.pendingSideShow;
+        const player = room.players.find(p => p.id === event.actorId);
+        const requester = room.players.find(p => p.id === sideShow.requesterId);
+        const target = room.players.find(p => p.id === sideShow.targetId);
+        const loser = event.data.loserId === requester.id ? requester : target;
+        const winner = loser === requester ? target : requester;
+
+        settleSideShow(room, winner, loser, player.name, `recorded by ${player.name}`);
+        syncTurnTimer(room);
+    },
+
+    requestShow(room, event) {
+        const player = room.players.find(p => p.id === event.actorId);
+        const activePlayers = room.players.filter(p => !p.packed);
+        const amount = event.data.amount;
+
+        addToPool(room, player, amount);
+        room.totalBids++;
+
+        room.pendingShow = {
+            requesterId: player.id,
+            playerIds: activePlayers.map(p => p.id),
+            amount: amount,
+            forced: false,
+            proposedWinnerId: null,
+            proposedBy: null
+        };
+
+        const opponent = activePlayers.find(p => p.id !== player.id);
+        addToGameLog(room, `${player.name} paid ₹${amount} and asked ${opponent.name} for a show`, {
+            type: 'show', actorId: player.id, targetId: opponent.id, amount: amount
+        });
+
+        emitLive(room.code, 'showRequested', {
+            success: true,
+            requester: player.name,
+            opponent: opponent.name,
+            amount: amount,
+            room: room
+        });
+
+        // With dealt cards the server settles it straight away
+        if (hasDealtHands(room, activePlayers)) {
+            resolveShowByCards(room);
+        }
+
+        syncTurnTimer(room);
+    },
+
+    resolveShow(room, event) {
+        const show = room.pendingShow;
+        const player = room.players.find(p => p.id === event.actorId);
+
+        // A show player's pick waits for the host to confirm it
+        if (!player.isCreator) {
+            const winner = room.players.find(p => p.id === event.data.winnerId);
+            show.proposedWinnerId = winner.id;
+            show.proposedBy = player.name;
+            addToGameLog(room, `${player.name} says ${winner.name} won the show`, {
+                type: 'show', actorId: player.id, targetId: winner.id
+            });
+            return;
+        }
+
+        const potWinners = buildPots(room).map((pot, index) => ({
+            pot: pot,
+            winners: room.players.filter(p => p.id === event.data.potWinnerIds[index])
+        }));
+        recordUndoPoint(room, player, `${potWinners[0].winners[0].name} declared winner of the show`);
+
+        const totalAmount = room.pool;
+        const winners = payoutPots(room, potWinners, `(Show confirmed by ${player.name})`);
+
+        syncTurnTimer(room);
+
+        emitLive(room.code, 'winnerDeclared', {
+            success: true,
+            winners: winners,
+            amount: totalAmount,
+            declaredBy: `${player.name} (Show)`,
+            summary: getLastRoundSummary(room),
+            room: room
+        });
+    },
+
+    requestRebuy(room, event) {
+        const player = room.players.find(p => p.id === event.actorId);
+        const amount = event.data.amount;
+
+        if (player.isCreator) {
+            applyRebuy(room, player, amount, player);
+            return;
+        }
+
+        const request = {
+            id: room.nextRebuyId++,
+            playerId: player.id,
+            playerName: player.name,
+            amount: amount,
+            kind: player.balance === 0 ? 'rebuy' : 'top-up'
+        };
+        room.pendingRebuys.push(request);
+
+        addToGameLog(room, `${player.name} asked the host for a ₹${amount} ${request.kind}`, {
+            type: 'rebuy', actorId: player.id, amount: amount
+        });
+
+        emitLive(room.code, 'rebuyRequested', {
+            success: true,
+            request: request,
+            room: room
+        });
+    },
+
+    respondRebuy(room, event) {
+        const hostPlayer = room.players.find(p => p.id === event.actorId);
+        const request = room.pendingRebuys.find(r => r.id === event.data.requestId);
+        const player = room.players.find(p => p.id === request.playerId);
+
+        if (player && event.data.approve) {
+            applyRebuy(room, player, request.amount, hostPlayer);
+            return;
+        }
+
+        room.pendingRebuys = room.pendingRebuys.filter(r => r.id !== request.id);
+        if (!player) return;
+
+        addToGameLog(room, `${hostPlayer.name} rejected ${player.name}'s ₹${request.amount} ${request.kind}`, {
+            type: 'rebuy', actorId: hostPlayer.id, targetId: player.id, amount: request.amount
+        });
+
+        emitLive(room.code, 'rebuyRejected', {
+            success: true,
+            player: player.name,
+            amount: request.amount,
+            rejectedBy: hostPlayer.name,
+            room: room
+        });
+    },
+
+    requestUndo(room, event) {
+        const player = room.players.find(p => p.id === event.actorId);
+        const lastAction = room.undoStack[room.undoStack.length - 1];
+
+        if (player.isCreator) {
+            undoLastAction(room, player, player);
+            return;
+        }
+
+        room.pendingUndo = {
+            undoId: lastAction.id,
+            description: lastAction.description,
+            requestedById: player.id,
+            requestedBy: player.name
+        };
+
+        addToGameLog(room, `${player.name} asked the host to undo: ${lastAction.description}`, { type: 'undo', actorId: player.id });
+
+        syncTurnTimer(room);
+
+        emitLive(room.code, 'undoRequested', {
+            success: true,
+            requestedBy: player.name,
+            description: lastAction.description,
+            room: room
+        });
+    },
+
+    respondUndo(room, event) {
+        const hostPlayer = room.players.find(p => p.id === event.actorId);
+        const request = room.pendingUndo;
+
+        room.pendingUndo = null;
+        const lastAction = room.undoStack[room.undoStack.length - 1];
+
+        if (event.data.approve && (!lastAction || lastAction.id !== request.undoId)) {
+            addToGameLog(room, `Undo requested by ${request.requestedBy} dropped (the game moved on)`, {
+                type: 'undo', targetId: request.requestedById
+            });
+            syncTurnTimer(room);
+            return;
+        }
+
+        const blocker = event.data.approve && getUndoBlocker(room, lastAction);
+        if (blocker) {
+            addToGameLog(room, `Undo requested by ${request.requestedBy} dropped (${blocker})`, {
+                type: 'undo', targetId: request.requestedById
+            });
+            syncTurnTimer(room);
+            return;
+        }
+
+        if (!event.data.approve) {
+            addToGameLog(room, `${hostPlayer.name} rejected ${request.requestedBy}'s undo of: ${request.description}`, {
+                type: 'undo', actorId: hostPlayer.id, targetId: request.requestedById
+            });
+
+            syncTurnTimer(room);
+
+            emitLive(room.code, 'undoRejected', {
+                success: true,
+                requestedBy: request.requestedBy,
+                rejectedBy: hostPlayer.name,
+                description: request.description,
+                room: room
+            });
+            return;
+        }
+
+        const requester = room.players.find(p => p.id === request.requestedById) || { name: request.requestedBy };
+        undoLastAction(room, requester, hostPlayer);
+    },
+
+    setVariant(room, event) {
+        const player = room.players.find(p => p.id === event.actorId);
+        const variant = event.data.variant;
+
+        room.variant = variant;
+        addToGameLog(room, `${player.name} changed the variant to ${VARIANTS[variant]}`, { type: 'round', actorId: player.id });
+        announceVariant(room);
+
+        emitLive(room.code, 'variantChanged', {
+            success: true,
+            variant: VARIANTS[variant],
+            changedBy: player.name,
+            room: room
+        });
+    },
+
+    resetPool(room, event) {
+        const player = room.players.find(p => p.id === event.actorId);
+
+        const finalPoolAmount = room.pool;
+        room.pool = 0;
+        room.round = 1; // Reset round to 1
+        clearUndoHistory(room);
+        room.totalBids = 0;
+
+        // Reset all players' balances to starting balance
+        room.players.forEach(p => {
+            p.balance = room.startingBalance;
+            p.buyIn = room.startingBalance;
+        });
+        room.departedPlayers = [];
+        room.pendingRebuys = [];
+
+        addToGameLog(room, `Pool reset by ${player.name}. Game restarted - Round ${room.round}. All balances restored to ₹${room.startingBalance}.`, {
+            type: 'round', actorId: player.id, amount: finalPoolAmount
+        });
+
+        // Unpack all players and collect the boot for the fresh round
+        startNewRound(room);
+        ensureActiveTurn(room);
+
+        syncTurnTimer(room);
+
+        emitLive(room.code, 'poolReset', {
+            success: true,
+            finalAmount: finalPoolAmount,
+            room: room,
+            message: `All player balances have been reset to ₹${room.startingBalance}`
+        });
+    },
+
+    cancelRound(room, event) {
+        const hostPlayer = room.players.find(p => p.id === event.actorId);
+
+        addToGameLog(room, `Round ${room.round} cancelled by ${hostPlayer.name}. Refunding all contributions.`, {
+            type: 'round', actorId: hostPlayer.id
+        });
+        clearUndoHistory(room);
+
+        // Give every player back exactly what they put in this round
+        const refunds = [];
+        room.players.forEach(p => {
+            if (p.contributed <= 0) return;
+
+            p.balance += p.contributed;
+            room.pool -= p.contributed;
+            refunds.push({ id: p.id, name: p.name, amount: p.contributed });
+            addToGameLog(room, `${p.name} refunded ₹${p.contributed}`, { type: 'round', targetId: p.id, amount: p.contributed });
+        });
+
+        // Money from players who already left cannot be refunded, it stays in the pool
+        if (room.pool > 0) {
+            addToGameLog(room, `₹${room.pool} from players who left stays in the pool`, { type: 'round', amount: room.pool });
+        }
+
+        // Replay the same round with the same dealer
+        room.totalBids = 0;
+
+        startNewRound(room);
+        ensureActiveTurn(room);
+
+        syncTurnTimer(room);
+
+        emitLive(room.code, 'roundCancelled', {
+            success: true,
+            refunds: refunds,
+            cancelledBy: hostPlayer.name,
+            room: room
+        });
+    },
+
+    setUpiId(room, event) {
+        const player = room.players.find(p => p.id === event.actorId);
+        player.upiId = event.data.upiId;
+    },
+
+    closeTable(room, event) {
+        const hostPlayer = room.players.find(p => p.id === event.actorId);
+
+        // The unfinished round is called off, so everyone gets back what they put in
+        room.players.forEach(p => {
+            if (p.contributed <= 0) return;
+
+            p.balance += p.contributed;
+            room.pool -= p.contributed;
+            p.contributed = 0;
+        });
+        refreshPots(room);
+
+        clearUndoHistory(room);
+        cancelSideShow(room);
+        room.pendingShow = null;
+        room.pendingRebuys = [];
+        room.closed = true;
+        room.settlement = buildSettlement(room, hostPlayer);
+        clearTurnTimer(room);
+
+        addToGameLog(room, `🔒 Table closed by ${hostPlayer.name}. ${room.settlement.transfers.length} payment(s) settle up`, {
+            type: 'room', actorId: hostPlayer.id
+        });
+
+        emitLive(room.code, 'tableClosed', {
+            success: true,
+            settlement: room.settlement,
+            room: room
+        });
+    },
+
+    declareWinner(room, event) {
+        const hostPlayer = room.players.find(p => p.id === event.actorId);
+        const potWinners = buildPots(room).map((pot, index) => ({
+            pot: pot,
+            winners: room.players.filter(p => event.data.potWinnerIds[index].includes(p.id))
+        }));
+
+        recordUndoPoint(room, hostPlayer, `Winner declaration of ₹${room.pool}`);
+
+        // Transfer each pot to its winner(s) and start new round
+        const totalAmount = room.pool;
+        const winners = payoutPots(room, potWinners, `Declared by ${hostPlayer.name}`);
+
+        syncTurnTimer(room);
+
+        // Notify all players about the winners
+        emitLive(room.code, 'winnerDeclared', {
+            success: true,
+            winners: winners,
+            amount: totalAmount,
+            declaredBy: hostPlayer.name,
+            summary: getLastRoundSummary(room),
+            room: room
+        });
+    },
+
+    removePlayer(room, event) {
+        const hostPlayer = room.players.find(p => p.id === event.actorId);
+        const playerIndex = room.players.findIndex(p => p.id === event.data.playerId);
+        const removedPlayer = room.players[playerIndex];
+
+        recordDeparture(room, removedPlayer);
+        passDealerButton(room, playerIndex);
+        room.players.splice(playerIndex, 1);
+        addToGameLog(room, `${removedPlayer.name} was removed by ${hostPlayer.name}`, {
+            type: 'room', actorId: hostPlayer.id, targetId: removedPlayer.id
+        });
+        cancelSideShow(room, removedPlayer.id);
+        cancelShow(room, removedPlayer.id);
+        refreshPots(room);
+
+        // Adjust current turn if necessary
+        if (room.currentTurn >= room.players.length) {
+            room.currentTurn = 0;
+        } else if (playerIndex < room.currentTurn) {
+            room.currentTurn--;
+        }
+
+        // Notify the removed player
+        if (removedPlayer.socketId) {
+            emitLive(removedPlayer.socketId, 'playerRemoved', {
+                message: `You have been removed from the room by ${hostPlayer.name}`,
+                hostName: hostPlayer.name
+            });
+        }
+
+        syncTurnTimer(room);
+
+        // Notify all remaining players in the room
+        emitLive(room.code, 'playerLeft', {
+            playerName: removedPlayer.name,
+            removedBy: hostPlayer.name,
+            room: room
+        });
+    },
+
+    rearrangeSeats(room, event) {
+        const hostPlayer = room.players.find(p => p.id === event.actorId);
+        const turnPlayerId = room.players[room.currentTurn] ? room.players[room.currentTurn].id : null;
+
+        room.players = event.data.playerIds.map(id => room.players.find(p => p.id === id));
+        room.currentTurn = Math.max(room.players.findIndex(p => p.id === turnPlayerId), 0);
+
+        addToGameLog(room, `Seats rearranged by ${hostPlayer.name}: ${room.players.map(p => p.name).join(', ')}`, {
+            type: 'seat', actorId: hostPlayer.id
+        });
+
+        emitLive(room.code, 'seatsRearranged', {
+            success: true,
+            changedBy: hostPlayer.name,
+            room: room
+        });
+    },
+
+    changeTurn(room, event) {
+        const hostPlayer = room.players.find(p => p.id === event.actorId);
+        const newTurnPlayerIndex = room.players.findIndex(p => p.id === event.data.playerId);
+        const newTurnPlayer = room.players[newTurnPlayerIndex];
+
+        recordUndoPoint(room, hostPlayer, `Turn change to ${newTurnPlayer.name}`);
+
+        // Change the turn (a fresh turn even if the same player keeps it)
+        room.currentTurn = newTurnPlayerIndex;
+        room.turnNumber++;
+        cancelSideShow(room);
+        cancelShow(room);
+
+        addToGameLog(room, `Turn changed to ${newTurnPlayer.name} by ${hostPlayer.name}`, {
+            type: 'turn', actorId: hostPlayer.id, targetId: newTurnPlayer.id
+        });
+
+        syncTurnTimer(room);
+
+        emitLive(room.code, 'turnChanged', {
+            success: true,
+            newTurnPlayer: newTurnPlayer.name,
+            changedBy: hostPlayer.name,
+            room: room
+        });
+    },
+
+    leaveRoom(room, event) {
+        applyDeparture(room, event.actorId, 'left the game', 'room');
+    },
+
+    disconnectTimeout(room, event) {
+        applyDeparture(room, event.actorId, 'left the game (timeout)', 'timeout');
+    },
+
+    turnTimeout(room, event) {
+        const player = room.players.find(p => p.id === event.data.playerId);
+        room.turnTimer = null;
+
+        const minBid = getBidLimits(room, player).min;
+        const autoCheck = room.timeoutAction === 'check' && !player.seen && player.balance >= minBid;
+
+        if (autoCheck) {
+            recordUndoPoint(room, player, `${player.name} timed out (auto blind ₹${minBid})`);
+            addToGameLog(room, `⏰ ${player.name} ran out of time and played blind automatically`, {
+                type: 'timeout', actorId: player.id, amount: minBid
+            });
+            applyBid(room, player, minBid);
+        } else {
+            recordUndoPoint(room, player, `${player.name} timed out and packed`);
+            addToGameLog(room, `⏰ ${player.name} ran out of time and was packed`, { type: 'timeout', actorId: player.id });
+            applyPack(room, player);
+        }
+
+        syncTurnTimer(room);
+
+        emitLive(room.code, 'turnTimedOut', {
+            success: true,
+            player: player.name,
+            action: autoCheck ? 'blind' : 'pack',
+            amount: autoCheck ? minBid : 0,
+            room: room
+        });
+    },
+
+    sideShowTimeout(room, event) {
+        const requester = room.players.find(p => p.id === room.pendingSideShow.requesterId);
+        const target = room.players.find(p => p.id === room.pendingSideShow.targetId);
+        room.pendingSideShow = null;
+
+        addToGameLog(room, `Side show request from ${requester.name} to ${target.name} timed out`, {
+            type: 'timeout', actorId: requester.id, targetId: target.id
+        });
+
+        moveToNextActivePlayer(room);
+        checkForcedShow(room);
+
+        syncTurnTimer(room);
+
+        emitLive(room.code, 'sideShowResolved', {
+            success: true,
+            accepted: false,
+            timedOut: true,
+            requester: requester.name,
+            target: target.name,
+            room: room
+        });
+    },
+
+    // Nobody could act while the server was down, so running clocks start over
+    restoreRoom(room) {
+        if (room.pendingSideShow && !room.pendingSideShow.accepted) {
+            room.pendingSideShow.expiresAt = getEventTime().getTime() + SIDE_SHOW_TIMEOUT_MS;
+            startSideShowTimer(room);
+        }
+
+        room.turnTimer = null;
+        syncTurnTimer(room);
+    }
+};
+
+// Helper function to remember what a leaving player walked away with, so the final settlement still includes them.
+// Any rebuy they were still waiting on is dropped.
+function recordDeparture(room, player) {
+    room.pendingRebuys = room.pendingRebuys.filter(request => request.playerId !== player.id);
+
+    room.departedPlayers.push({
+        id: player.id,
+        name: player.name,
+        balance: player.balance,
+        buyIn: getTotalBuyIn(room, player),
+        upiId: player.upiId,
+        leftAt: getEventTime().toISOString()
+    });
+}
+
+// Helper function to take a leaving player out of their seat. The host role passes to the
+// first remaining player; the caller deletes the room once it is empty.
+function applyDeparture(room, playerId, message, logType) {
+    const playerIndex = room.players.findIndex(p => p.id === playerId);
+    const player = room.players[playerIndex];
+
+    recordDeparture(room, player);
+    passDealerButton(room, playerIndex);
+    room.players.splice(playerIndex, 1);
+    addToGameLog(room, `${player.name} ${message}`, { type: logType, actorId: player.id });
+    cancelSideShow(room, player.id);
+    cancelShow(room, player.id);
+    refreshPots(room);
+
+    // If creator left and there are other players, make the first player the new creator
+    if (player.isCreator && room.players.length > 0) {
+        room.players[0].isCreator = true;
+        room.creator = room.players[0].name;
+    }
+
+    if (room.players.length === 0) {
+        clearTurnTimer(room);
+        return;
+    }
+
+    // Adjust current turn if necessary
+    if (room.currentTurn >= room.players.length) {
+        room.currentTurn = 0;
+    }
+
+    syncTurnTimer(room);
+
+    // Notify remaining players
+    emitLive(room.code, 'playerLeft', {
+        playerName: player.name,
+        room: room
+    });
+}
+
+// Helper function to get everything a player has brought to the table: the starting balance plus approved rebuys and top-ups
+function getTotalBuyIn(room, player) {
+    return player.buyIn !== undefined ? player.buyIn : room.startingBalance;
+}
+
+// Helper function to credit an approved rebuy or top-up and add it to the player's buy-in total
+function applyRebuy(room, player, amount, approver) {
+    const kind = player.balance === 0 ? 'rebuy' : 'top-up';
+
+    room.pendingRebuys = room.pendingRebuys.filter(request => request.playerId !== player.id);
+    player.balance += amount;
+    player.buyIn = getTotalBuyIn(room, player) + amount;
+
+    // Older undo snapshots hold pre-rebuy balances, so they can no longer be restored safely
+    clearUndoHistory(room);
+
+    addToGameLog(room, `💰 ${player.name} ${kind === 'rebuy' ? 'rebought' : 'topped up'} ₹${amount} (approved by ${approver.name}). Total buy-in ₹${player.buyIn}`, {
+        type: 'rebuy', actorId: player.id, targetId: approver.id, amount: amount
+    });
+
+    emitLive(room.code, 'rebuyApproved', {
+        success: true,
+        player: player.name,
+        amount: amount,
+        kind: kind,
+        buyIn: player.buyIn,
+        approvedBy: approver.name,
+        room: room
+    });
+}
+
+// Helper function to compute every player's net result and the payments that settle the table
+function buildSettlement(room, hostPlayer) {
+    const results = [
+        ...room.players.map(p => ({ id: p.id, name: p.name, buyIn: getTotalBuyIn(room, p), finalBalance: p.balance, left: false })),
+        ...room.departedPlayers.map(p => ({ id: p.id, name: p.name, buyIn: p.buyIn, finalBalance: p.balance, left: true }))
+    ].map(result => ({ ...result, net: result.finalBalance - result.buyIn }));
+
+    return {
+        closedAt: getEventTime().toISOString(),
+        closedBy: hostPlayer.name,
+        rounds: room.roundSummaries.length,
+        // Money from players who left mid-round that no one won
+        unclaimedPool: room.pool,
+        results: results,
+        transfers: computeTransfers(results)
+    };
+}
+
+// Helper function to settle debts with the fewest payments. A group of players whose results
+// cancel out can settle among themselves with one payment fewer than its size, so everyone who
+// is up or down is split into as many such groups as possible and each group is settled apart.
+function computeTransfers(results) {
+    const balances = results.filter(r => r.net !== 0);
+    return findZeroSumGroups(balances).flatMap(settleGroup);
+}
+
+// Helper function to split players into the most groups whose nets add up to zero. Searches every
+// subset, so past MAX_EXACT_SETTLEMENT_PLAYERS players everyone stays in one group. When money
+// is missing from the total (an unclaimed pool), whatever can't cancel out forms a group of its own.
+function findZeroSumGroups(balances) {
+    const n = balances.length;
+    if (n > MAX_EXACT_SETTLEMENT_PLAYERS) return n > 0 ? [balances] : [];
+
+    const count = 1 << n;
+    const sums = new Int32Array(count);
+    const groups = new Uint8Array(count);
+
+    for (let mask = 1; mask < count; mask++) {
+        const lowest = mask & -mask;
+        sums[mask] = sums[mask ^ lowest] + balances[31 - Math.clz32(lowest)].net;
+
+        // The most zero-sum groups among the players in `mask`, counting `mask` itself if it cancels out
+        let best = 0;
+        for (let i = 0; i < n; i++) {
+            if (mask & (1 << i)) best = Math.max(best, groups[mask ^ (1 << i)]);
+        }
+        groups[mask] = best + (sums[mask] === 0 ? 1 : 0);
+    }
+
+    // Walk back down from everyone, starting a new group each time the rest cancels out
+    const result = [];
+    let current = [];
+    let mask = count - 1;
+    while (mask) {
+        const target = groups[mask] - (sums[mask] === 0 ? 1 : 0);
+        let i = 0;
+        while (!(mask & (1 << i)) || groups[mask ^ (1 << i)] !== target) i++;
+
+        current.push(balances[i]);
+        mask ^= 1 << i;
+        if (mask === 0 || sums[mask] === 0) {
+            result.push(current);
+            current = [];
+        }
+    }
+
+    return result;
+}
+
+// Helper function to settle one group: the biggest loser repeatedly pays the biggest winner.
+// Every payment squares at least one of them, and in a group that cancels out the last squares both.
+function settleGroup(results) {
+    const debtors = results.filter(r => r.net < 0).map(r => ({ id: r.id, name: r.name, amount: -r.net }));
+    const creditors = results.filter(r => r.net > 0).map(r => ({ id: r.id, name: r.name, amount: r.net }));
+    const transfers = [];
+
+    while (debtors.length > 0 && creditors.length > 0) {
+        debtors.sort((a, b) => b.amount - a.amount);
+        creditors.sort((a, b) => b.amount - a.amount);
+
+        const debtor = debtors[0];
+        const creditor = creditors[0];
+        const amount = Math.min(debtor.amount, creditor.amount);
+
+        transfers.push({ fromId: debtor.id, from: debtor.name, toId: creditor.id, to: creditor.name, amount: amount });
+
+        debtor.amount -= amount;
+        creditor.amount -= amount;
+        if (debtor.amount === 0) debtors.shift();
+        if (creditor.amount === 0) creditors.shift();
+    }
+
+    return transfers;
+}
+
+// Helper function to give a room its private fields: dealt cards, the full log history, past
+// round summaries and the event stream live on the room but are never serialized into a broadcast
+function defineRoomInternals(room) {
+    Object.defineProperty(room, 'deal', { value: null, writable: true, enumerable: false });
+    Object.defineProperty(room, 'history', { value: [], writable: true, enumerable: false });
+    Object.defineProperty(room, 'roundSummaries', { value: [], writable: true, enumerable: false });
+    Object.defineProperty(room, 'events', { value: [], writable: true, enumerable: false });
+}
+
+// Helper function to give a player their private fields: the socket they are connected on and
+// the hash of their session token stay on the server and never go out with the room
+function definePlayerInternals(player, socketId, tokenHash) {
+    Object.defineProperty(player, 'socketId', { value: socketId, writable: true, enumerable: false });
+    Object.defineProperty(player, 'tokenHash', { value: tokenHash || null, writable: false, enumerable: false });
+}
+
+// Helper function to record a state change as the room's next event and apply it.
+// Pass a null room for createRoom; the new room is returned.
+function commitRoomEvent(room, type, actorId, data) {
+    const event = {
+        seq: room ? room.events.length + 1 : 1,
+        type: type,
+        actorId: actorId,
+        timestamp: new Date().toISOString(),
+        data: data
+    };
+
+    return applyRoomEvent(room, event);
+}
+
+// Helper function to apply one event to a room and append it to the room's stream
+function applyRoomEvent(room, event) {
+    activeEvent = event;
+    randomCursor = 0;
+
+    try {
+        const nextRoom = roomEventReducers[event.type](room, event) || room;
+        nextRoom.events.push(event);
+        return nextRoom;
+    } finally {
+        activeEvent = null;
+    }
+}
+
+// Helper function to rebuild a room by folding its events in order. Stop after event number
+// `untilSeq` or at the last event no later than `until` to see the room as it was at that point;
+// `onEvent(room, event)` is called after each event is applied. Pass a room replayed earlier
+// from the same stream as `from` to carry on folding it (the room is advanced in place).
+function replayRoom(events, options = {}) {
+    const untilSeq = options.untilSeq || Infinity;
+    const until = options.until ? new Date(options.until).getTime() : Infinity;
+    const start = options.from ? options.from.events.length : 0;
+    const end = events.findIndex(event => event.seq > untilSeq || new Date(event.timestamp).getTime() > until);
+
+    replaying = true;
+    try {
+        return events.slice(start, end === -1 ? events.length : Math.max(end, start)).reduce((room, event) => {
+            const nextRoom = applyRoomEvent(room, event);
+            if (options.onEvent) {
+                options.onEvent(nextRoom, event);
+            }
+            return nextRoom;
+        }, options.from || null);
+    } finally {
+        replaying = false;
+    }
+}
+
+// Helper function to describe each event for the replay viewer: who acted, the log lines it
+// wrote and the bets it put in the pool
+function buildReplayTimeline(events) {
+    const steps = [];
+    const names = new Map();
+    let logCount = 0;
+
+    replayRoom(events, {
+        onEvent(room, event) {
+            // Remember every name seen so steps by players who later left still read properly
+            room.players.forEach(p => names.set(p.id, p.name));
+
+            const entries = room.history.slice(logCount);
+            logCount = room.history.length;
+
+            steps.push({
+                seq: event.seq,
+                type: event.type,
+                timestamp: event.timestamp,
+                round: entries.length > 0 ? entries[0].round : room.round,
+                actor: names.get(event.actorId) || null,
+                messages: entries.map(entry => entry.message),
+                bets: entries
+                    .filter(entry => entry.type === 'bid' && entry.amount)
+                    .map(entry => ({ player: names.get(entry.actorId), amount: entry.amount }))
+            });
+        }
+    });
+
+    return steps;
+}
+
+// Helper function to get "now" for the event being applied
+function getEventTime() {
+    return activeEvent ? new Date(activeEvent.timestamp) : new Date();
+}
+
+// Helper function to take a random value for the event being applied. Live events record each
+// draw; a replay reads the recorded draws back in the same order.
+function drawRandom(generate) {
+    if (!activeEvent) return generate();
+
+    const draws = activeEvent.random || (activeEvent.random = []);
+    if (randomCursor >= draws.length) {
+        draws.push(generate());
+    }
+    return draws[randomCursor++];
+}
+
+// Helper function to emit to a room or socket, unless the event is only being replayed
+function emitLive(target, eventName, payload) {
+    if (replaying) return;
+
+    emitToViewers(target, eventName, payload);
+}
+
+// Helper function to send an event to a channel (a room code or a socket id). A room in the
+// payload never goes out raw: every socket gets its own projection of it instead.
+function emitToViewers(target, eventName, payload) {
+    if (!payload || !payload.room) {
+        io.to(target).emit(eventName, payload);
+        return;
+    }
+
+    forEachViewer(target, (socketId, viewerId) => {
+        io.to(socketId).emit(eventName, { ...payload, room: projectRoom(payload.room, viewerId) });
+    });
+}
+
+// Helper function to send everyone at the table their own view of the room
+function broadcastRoom(room) {
+    forEachViewer(room.code, (socketId, viewerId) => {
+        io.to(socketId).emit('roomUpdate', projectRoom(room, viewerId));
+    });
+}
+
+// Helper function to visit each socket on a channel with the player it is seated as (if any)
+function forEachViewer(target, callback) {
+    const socketIds = io.sockets.adapter.rooms.get(target);
+    if (!socketIds) return;
+
+    socketIds.forEach(socketId => {
+        const socket = io.sockets.sockets.get(socketId);
+        callback(socketId, socket ? socket.playerId : null);
+    });
+}
+
+// Helper function to build what one viewer may see of a room: the listed public fields for the
+// whole table, plus their own private view under `you` when they hold a seat
+function projectRoom(room, viewerId) {
+    const view = pickFields(room, PUBLIC_ROOM_FIELDS);
+    view.players = room.players.map(player => pickFields(player, PUBLIC_PLAYER_FIELDS));
+
+    // Undo snapshots hold the whole table's state; the table only needs what would be undone
+    view.undoStack = room.undoStack.map(action => ({
+        id: action.id,
+        description: action.description,
+        actorId: action.actorId
+    }));
+
+    const viewer = viewerId && room.players.find(p => p.id === viewerId);
+    view.you = viewer
+        ? { id: viewer.id, hand: getOwnHand(room, viewer) }
+        : null;
+
+    return view;
+}
+
+// Helper function to copy only the listed fields of an object
+function pickFields(source, fields) {
+    const copy = {};
+    fields.forEach(field => {
+        copy[field] = source[field];
+    });
+    return copy;
+}
+
+// Helper function to write a room's event stream to storage (or drop it once the room is gone).
+// Events are only ever appended, so a room whose stream hasn't grown since the last save
+// (a rejected or read-only request) is skipped.
+function persistRoom(roomCode) {
+    if (!roomCode) return;
+
+    const room = rooms.get(roomCode);
+    try {
+        if (room) {
+            if (savedEventCounts.get(roomCode) === room.events.length) return;
+
+            storage.save(roomCode, {
+                code: roomCode,
+                events: room.events
+            });
+            savedEventCounts.set(roomCode, room.events.length);
+        } else if (savedEventCounts.delete(roomCode)) {
+            storage.remove(roomCode);
+        }
+    } catch (error) {
+        console.error(`Could not save room ${roomCode}:`, error.message);
+    }
+}
+
+// Helper function to remove a player who doesn't reconnect within 30 seconds. A rejoin moves the
+// player to a new socket, which cancels the removal.
+function scheduleDisconnectRemoval(roomCode, player) {
+    const socketId = player.socketId;
+
+    setTimeout(() => {
+        // Check if player still exists and hasn't reconnected
+        const currentRoom = rooms.get(roomCode);
+        if (!currentRoom) return;
+
+        const currentPlayer = currentRoom.players.find(p => p.id === player.id);
+        if (!currentPlayer || currentPlayer.socketId !== socketId) return;
+
+        // Player hasn't reconnected, remove them
+        commitRoomEvent(currentRoom, 'disconnectTimeout', player.id, {});
+
+        // If room is empty, delete it
+        if (currentRoom.players.length === 0) {
+            rooms.delete(roomCode);
+            console.log(`Room ${roomCode} deleted (empty after timeout)`);
+        } else {
+            broadcastRoom(currentRoom);
+        }
+
+        persistRoom(roomCode);
+        console.log(`${player.name} removed from room ${roomCode} after timeout`);
+    }, 30000); // 30 second timeout before removing player
+}
+
+// Helper function to bring back every stored room after a restart by replaying its events.
+// Players take their seats back through rejoinRoom; a restoreRoom event restarts the clocks.
+// Nobody is connected yet, so every seat gets the same grace period as a dropped connection.
+function restoreRooms() {
+    storage.loadAll().forEach(snapshot => {
+        try {
+            const room = replayRoom(snapshot.events);
+            rooms.set(room.code, room);
+            commitRoomEvent(room, 'restoreRoom', null, {});
+            persistRoom(room.code);
+            room.players.forEach(player => scheduleDisconnectRemoval(room.code, player));
+        } catch (error) {
+            console.error(`Could not restore room ${snapshot.code}:`, error.message);
+        }
+    });
 
-            console.log(`${playerName} left room ${roomCode}`);
+    console.log(`Loaded ${rooms.size} room(s) from ${storage.name} storage`);
+}
+
+// Helper function to snapshot the game state before an undoable action
+function recordUndoPoint(room, actor, description) {
+    room.undoStack.push({
+        id: room.nextUndoId++,
+        description: description,
+        actorId: actor.id,
+        state: {
+            pool: room.pool,
+            currentTurn: room.currentTurn,
+            round: room.round,
+            totalBids: room.totalBids,
+            currentStake: room.currentStake,
+            dealerId: room.dealerId,
+            roundStartedAt: room.roundStartedAt,
+            roundSummaryCount: room.roundSummaries.length,
+            dealNumber: room.dealNumber,
+            pendingShow: room.pendingShow ? JSON.parse(JSON.stringify(room.pendingShow)) : null,
+            players: room.players.map(p => ({
+                id: p.id,
+                balance: p.balance,
+                packed: p.packed,
+                seen: p.seen,
+                sittingOut: p.sittingOut,
+                blindCount: p.blindCount,
+                allIn: p.allIn,
+                contributed: p.contributed,
+                chaals: p.chaals,
+                packedAt: p.packedAt
+            }))
         }
+    });
 
-        socket.leave(roomCode);
-        socket.playerId = null;
-        socket.roomCode = null;
+    if (room.undoStack.length > MAX_UNDO_STEPS) {
+        room.undoStack.shift();
+    }
+}
+
+// Helper function to explain why an undo point can't be restored with digital cards, or null if it
+// can. A paid-out round has had its seed revealed, and a player who has looked at their hand since
+// can't be put back to blind.
+function getUndoBlocker(room, action) {
+    if (!room.digitalCards) return null;
+
+    if (action.state.dealNumber !== room.dealNumber) {
+        return 'that round\'s cards have already been revealed';
+    }
+
+    const sawSince = action.state.players
+        .map(saved => ({ saved: saved, player: room.players.find(p => p.id === saved.id) }))
+        .find(({ saved, player }) => player && player.seen && !saved.seen);
+    if (sawSince) {
+        return `${sawSince.player.name} has seen their cards since`;
+    }
+
+    return null;
+}
+
+// Helper function to drop undo history after the host wipes or replays the round
+function clearUndoHistory(room) {
+    room.undoStack = [];
+    room.pendingUndo = null;
+}
+
+// Helper function to restore the snapshot taken before the most recent action
+function undoLastAction(room, requester, approver) {
+    const action = room.undoStack.pop();
+    const state = action.state;
+
+    room.pool = state.pool;
+    room.round = state.round;
+    room.totalBids = state.totalBids;
+    room.currentStake = state.currentStake;
+    room.dealerId = state.dealerId;
+    room.roundStartedAt = state.roundStartedAt;
+    room.pendingShow = state.pendingShow;
+
+    // An undone payout takes its round summary with it
+    room.roundSummaries.splice(state.roundSummaryCount);
+    room.pendingUndo = null;
+    cancelSideShow(room);
+
+    // Players who left since the snapshot stay gone; everyone else is restored exactly
+    state.players.forEach(saved => {
+        const player = room.players.find(p => p.id === saved.id);
+        if (player) {
+            Object.assign(player, saved);
+        }
     });
 
-    // Handle disconnect
-    socket.on('disconnect', () => {
-        console.log('User disconnected:', socket.id);
-        
-        // Don't immediately remove player - they might reconnect
-        // Just mark them as disconnected and set a timeout
-        for (const [roomCode, room] of rooms.entries()) {
-            const playerIndex = room.players.findIndex(p => p.socketId === socket.id);
-            if (playerIndex !== -1) {
-                const player = room.players[playerIndex];
-                console.log(`${player.name} disconnected from room ${roomCode}, waiting for reconnection...`);
-                
-                // Set a timeout to remove player if they don't reconnect
-                setTimeout(() => {
-                    // Check if player still exists and hasn't reconnected
-                    const currentRoom = rooms.get(roomCode);
-                    if (currentRoom) {
-                        const currentPlayer = currentRoom.players.find(p => p.id === player.id);
-                        if (currentPlayer && currentPlayer.socketId === socket.id) {
-                            // Player hasn't reconnected, remove them
-                            const finalPlayerIndex = currentRoom.players.findIndex(p => p.id === player.id);
-                            if (finalPlayerIndex !== -1) {
-                                const playerName = currentRoom.players[finalPlayerIndex].name;
-                                const wasCreator = currentRoom.players[finalPlayerIndex].isCreator;
-                                
-                                currentRoom.players.splice(finalPlayerIndex, 1);
-                                addToGameLog(currentRoom, `${playerName} left the game (timeout)`);
-                                
-                                // If creator left and there are other players, make the first player the new creator
-                                if (wasCreator && currentRoom.players.length > 0) {
-                                    currentRoom.players[0].isCreator = true;
-                                    currentRoom.creator = currentRoom.players[0].name;
-                                }
-                                
-                                // If room is empty, delete it
-                                if (currentRoom.players.length === 0) {
-                                    rooms.delete(roomCode);
-                                    console.log(`Room ${roomCode} deleted (empty after timeout)`);
-                                } else {
-                                    // Adjust current turn if necessary
-                                    if (currentRoom.currentTurn >= currentRoom.players.length) {
-                                        currentRoom.currentTurn = 0;
-                                    }
-                                    
-                                    // Notify remaining players
-                                    io.to(roomCode).emit('playerLeft', {
-                                        playerName: playerName,
-                                        room: currentRoom
-                                    });
-                                    
-                                    io.to(roomCode).emit('roomUpdate', currentRoom);
-                                }
-
-                                console.log(`${playerName} removed from room ${roomCode} after timeout`);
-                            }
-                        }
-                    }
-                }, 30000); // 30 second timeout before removing player
-                
-                break;
+    const turnPlayerId = state.players[state.currentTurn] ? state.players[state.currentTurn].id : null;
+    const turnIndex = room.players.findIndex(p => p.id === turnPlayerId);
+    room.currentTurn = turnIndex >= 0 ? turnIndex : Math.min(state.currentTurn, room.players.length - 1);
+    ensureActiveTurn(room);
+    refreshPots(room);
+
+    // The restored turn starts with a full clock
+    clearTurnTimer(room);
+    syncTurnTimer(room);
+
+    addToGameLog(room, `↩️ Undid "${action.description}" (requested by ${requester.name}, approved by ${approver.name})`, {
+        type: 'undo', actorId: approver.id, targetId: requester.id
+    });
+
+    emitLive(room.code, 'actionUndone', {
+        success: true,
+        description: action.description,
+        requestedBy: requester.name,
+        approvedBy: approver.name,
+        room: room
+    });
+}
+
+// Helper function to move a validated bet into the pool and pass the turn
+function applyBid(room, player, amount) {
+    addToPool(room, player, amount);
+    room.totalBids++;
+    player.chaals++;
+
+    // The stake is always expressed as the blind-equivalent amount
+    room.currentStake = player.seen ? Math.ceil(amount / 2) : amount;
+
+    addToGameLog(room, `${player.name} bid ₹${amount} (${player.seen ? 'chaal' : 'blind'})`, {
+        type: 'bid', actorId: player.id, amount: amount
+    });
+
+    // Betting the last rupee puts the player all-in
+    if (player.balance === 0) {
+        player.allIn = true;
+        refreshPots(room);
+        addToGameLog(room, `${player.name} is all-in`, { type: 'bid', actorId: player.id });
+    }
+
+    // Blind players must go seen once they hit the blind limit
+    if (!player.seen) {
+        player.blindCount++;
+        if (room.maxBlinds && player.blindCount >= room.maxBlinds) {
+            player.seen = true;
+            addToGameLog(room, `${player.name} reached the ${room.maxBlinds} blind limit and must play seen`, {
+                type: 'see', actorId: player.id
+            });
+            sendHand(room, player);
+        }
+    }
+
+    // Move to next active player (skip packed players)
+    moveToNextActivePlayer(room);
+
+    checkForcedShow(room);
+}
+
+// Helper function to pack a player, paying out automatically if only one player remains
+function applyPack(room, player) {
+    markPacked(room, player);
+    refreshPots(room);
+    addToGameLog(room, `${player.name} packed (folded)`, { type: 'pack', actorId: player.id });
+
+    // Move to next active player
+    moveToNextActivePlayer(room);
+
+    // Automatically declare the remaining player as winner
+    const activePlayers = room.players.filter(p => !p.packed);
+    if (activePlayers.length === 1) {
+        const totalAmount = room.pool;
+        const winners = payoutWinners(room, [activePlayers[0]], '(All others packed)');
+
+        emitLive(room.code, 'winnerDeclared', {
+            success: true,
+            winners: winners,
+            amount: totalAmount,
+            declaredBy: 'System (Auto)',
+            summary: getLastRoundSummary(room),
+            room: room
+        });
+    } else {
+        checkForcedShow(room);
+    }
+
+    // Ensure current turn is on an active player
+    ensureActiveTurn(room);
+}
+
+// Helper function to pay every pot to the given winners. A pot only one player can win
+// (money nobody else matched) goes back to that player. Any other pot must have an eligible winner.
+function payoutWinners(room, winners, reason) {
+    const potWinners = buildPots(room).map(pot => {
+        const eligibleWinners = winners.filter(p => pot.eligibleIds.includes(p.id));
+        if (eligibleWinners.length === 0 && pot.eligibleIds.length !== 1) {
+            throw new Error(`${pot.name} can't be won by ${winners.map(p => p.name).join(', ')}`);
+        }
+
+        return {
+            pot: pot,
+            winners: eligibleWinners.length > 0
+                ? eligibleWinners
+                : room.players.filter(p => pot.eligibleIds.includes(p.id))
+        };
+    });
+
+    return payoutPots(room, potWinners, reason);
+}
+
+// Helper function to split each pot evenly between its winners and start the next round.
+// The odd remainder of a pot is handed out ₹1 at a time to its winners in seat order.
+function payoutPots(room, potWinners, reason) {
+    const payouts = [];
+
+    potWinners.forEach(({ pot, winners }) => {
+        const orderedWinners = room.players.filter(p => winners.includes(p));
+        const share = Math.floor(pot.amount / orderedWinners.length);
+        let remainder = pot.amount - share * orderedWinners.length;
+
+        const potPayouts = orderedWinners.map(winner => {
+            const amount = share + (remainder > 0 ? 1 : 0);
+            if (remainder > 0) remainder--;
+
+            winner.balance += amount;
+            return { id: winner.id, name: winner.name, amount: amount };
+        });
+
+        const label = potWinners.length > 1 ? pot.name : 'Pool';
+        if (pot.unmatched) {
+            addToGameLog(room, `↩️ ${potPayouts[0].name} took back ₹${pot.amount} nobody matched`, {
+                type: 'win', actorId: potPayouts[0].id, amount: pot.amount
+            });
+        } else if (potPayouts.length === 1) {
+            addToGameLog(room, `🏆 ${potPayouts[0].name} won ₹${pot.amount}${potWinners.length > 1 ? ` (${label})` : ''}! ${reason}`, {
+                type: 'win', actorId: potPayouts[0].id, amount: pot.amount
+            });
+        } else {
+            addToGameLog(room, `🏆 ${label} of ₹${pot.amount} split between ${potPayouts.map(p => p.name).join(', ')}! ${reason}`, {
+                type: 'win', amount: pot.amount
+            });
+            potPayouts.forEach(payout => {
+                addToGameLog(room, `${payout.name} received a ₹${payout.amount} share`, {
+                    type: 'win', actorId: payout.id, amount: payout.amount
+                });
+            });
+        }
+
+        // Merge into one entry per winner across all pots
+        potPayouts.forEach(payout => {
+            const existing = payouts.find(p => p.id === payout.id);
+            if (existing) {
+                existing.amount += payout.amount;
+            } else {
+                payouts.push(payout);
+            }
+        });
+    });
+
+    recordRoundSummary(room, payouts, reason);
+
+    // Reset pool and start new round
+    room.pool = 0;
+    room.round++;
+    room.totalBids = 0;
+
+    // Pass the dealer button clockwise, unpack all players and collect the boot for next round
+    rotateDealer(room);
+    startNewRound(room);
+    ensureActiveTurn(room);
+
+    return payouts;
+}
+
+// Helper function to pack a player, remembering when (and after how many chaals) for the round summary
+function markPacked(room, player) {
+    player.packed = true;
+    player.packedAt = {
+        timestamp: getEventTime().toISOString(),
+        afterChaals: room.totalBids
+    };
+}
+
+// Helper function to store an end-of-round summary built from the round's tracked data.
+// Runs after payouts are credited and before the next round resets contributions.
+function recordRoundSummary(room, payouts, reason) {
+    const endedAt = getEventTime();
+    const summary = {
+        id: room.nextSummaryId++,
+        round: room.round,
+        startedAt: room.roundStartedAt,
+        endedAt: endedAt.toISOString(),
+        durationMs: endedAt - new Date(room.roundStartedAt),
+        pool: payouts.reduce((sum, payout) => sum + payout.amount, 0),
+        totalChaals: room.totalBids,
+        reason: reason,
+        winners: payouts.map(payout => ({ id: payout.id, name: payout.name, amount: payout.amount })),
+        players: room.players.map(p => {
+            const payout = payouts.find(w => w.id === p.id);
+            const won = payout ? payout.amount : 0;
+            return {
+                id: p.id,
+                name: p.name,
+                contributed: p.contributed,
+                won: won,
+                net: won - p.contributed,
+                chaals: p.chaals,
+                sittingOut: p.sittingOut,
+                packedAt: p.packedAt
+            };
+        })
+    };
+
+    room.roundSummaries.push(summary);
+    addToGameLog(room, `📋 Round ${summary.round} finished after ${summary.totalChaals} chaals`, {
+        type: 'round', amount: summary.pool, summaryId: summary.id
+    });
+
+    return summary;
+}
+
+// Helper function to get the summary of the round that just ended, for the winnerDeclared payload
+function getLastRoundSummary(room) {
+    return room.roundSummaries[room.roundSummaries.length - 1] || null;
+}
+
+// Helper function to move money from a player into the pool, tracking their round contribution
+function addToPool(room, player, amount) {
+    player.balance -= amount;
+    player.contributed += amount;
+    room.pool += amount;
+    refreshPots(room);
+}
+
+// Helper function to split the pool into a main pot and side pots. Each all-in player
+// caps a pot at their contribution; non-packed players who put in at least that much, or who
+// are still betting and have put money into it, are eligible for it. Whatever an all-in player
+// put in beyond everyone else is unmatched and kept in a pot of its own that only they can
+// take back. Money from players who left goes into the main pot.
+function buildPots(room) {
+    const allInPlayers = room.players.filter(p => p.allIn && !p.packed);
+    if (allInPlayers.length === 0) {
+        return [{ name: 'Main pot', amount: room.pool, eligibleIds: room.players.map(p => p.id), unmatched: false }];
+    }
+
+    const capSet = new Set(allInPlayers.map(p => p.contributed));
+    const topAllIn = allInPlayers.reduce((top, p) => p.contributed > top.contributed ? p : top);
+    const matched = Math.max(0, ...room.players.filter(p => p !== topAllIn).map(p => p.contributed));
+    if (matched < topAllIn.contributed) {
+        capSet.add(matched);
+    }
+
+    const caps = [...capSet].sort((a, b) => a - b);
+    caps.push(Infinity);
+
+    const pots = [];
+    let previousCap = 0;
+
+    caps.forEach(cap => {
+        const amount = room.players.reduce((sum, p) => {
+            return sum + Math.max(0, Math.min(p.contributed, cap) - previousCap);
+        }, 0);
+
+        const eligibleIds = room.players
+            .filter(p => !p.packed && (cap === Infinity
+                ? p.contributed > previousCap
+                : p.contributed >= cap || (canTakeTurn(p) && p.contributed > previousCap)))
+            .map(p => p.id);
+
+        // Money only one player put in, that only they can win, is theirs to take back
+        const contributors = room.players.filter(p => p.contributed > previousCap);
+        const unmatched = contributors.length === 1 && eligibleIds.length === 1 && eligibleIds[0] === contributors[0].id;
+
+        if (amount > 0) {
+            if (eligibleIds.length === 0 && pots.length > 0) {
+                // Nobody left to contest this money (everyone above the cap packed)
+                pots[pots.length - 1].amount += amount;
+                pots[pots.length - 1].unmatched = false;
+            } else {
+                pots.push({ amount: amount, eligibleIds: eligibleIds, unmatched: unmatched });
             }
         }
+
+        previousCap = cap;
     });
-});
+
+    const tracked = pots.reduce((sum, pot) => sum + pot.amount, 0);
+    if (pots.length === 0) {
+        pots.push({ amount: 0, eligibleIds: room.players.filter(p => !p.packed).map(p => p.id), unmatched: false });
+    }
+    pots[0].amount += room.pool - tracked;
+
+    let sidePots = 0;
+    return pots.map((pot, index) => ({
+        name: pot.unmatched ? 'Unmatched bet' : index === 0 ? 'Main pot' : `Side pot ${++sidePots}`,
+        amount: pot.amount,
+        eligibleIds: pot.eligibleIds,
+        unmatched: pot.unmatched
+    }));
+}
+
+// Helper function to keep the broadcast pot breakdown in sync with the pool
+function refreshPots(room) {
+    room.pots = buildPots(room);
+}
+
+// Helper function to check if a player still acts this round (not packed and not all-in)
+function canTakeTurn(player) {
+    return !player.packed && !player.allIn;
+}
+
+// Helper function to get the seat index clockwise after the dealer
+function getSeatAfterDealer(room) {
+    if (room.players.length === 0) return 0;
+
+    const dealerIndex = room.players.findIndex(p => p.id === room.dealerId);
+    return (dealerIndex + 1) % room.players.length;
+}
+
+// Helper function to move the dealer button one seat clockwise
+function rotateDealer(room) {
+    if (room.players.length === 0) return;
+
+    const dealer = room.players[getSeatAfterDealer(room)];
+    room.dealerId = dealer.id;
+    addToGameLog(room, `🔘 ${dealer.name} is the dealer for round ${room.round}`, { type: 'round', actorId: dealer.id });
+}
+
+// Helper function to hand the dealer button back one seat when the dealer leaves,
+// so the next rotation still lands on the seat after theirs
+function passDealerButton(room, leavingIndex) {
+    if (room.players[leavingIndex].id !== room.dealerId || room.players.length < 2) return;
+
+    const previousIndex = (leavingIndex - 1 + room.players.length) % room.players.length;
+    room.dealerId = room.players[previousIndex].id;
+}
+
+// Helper function to reset per-round player state and collect the boot.
+// The first action goes to the seat after the dealer.
+function startNewRound(room) {
+    room.currentTurn = getSeatAfterDealer(room);
+    room.roundStartedAt = getEventTime().toISOString();
+
+    room.players.forEach(p => {
+        p.packed = false;
+        p.seen = false;
+        p.sittingOut = false;
+        p.blindCount = 0;
+        p.allIn = false;
+        p.contributed = 0;
+        p.chaals = 0;
+        p.packedAt = null;
+    });
+    refreshPots(room);
+    room.currentStake = room.baseStake;
+    cancelSideShow(room);
+    room.pendingShow = null;
+
+    collectBoot(room);
+    dealCards(room);
+    announceVariant(room);
+}
+
+// Helper function to pick this round's joker (if the variant uses one) and log the variant in play.
+// With digital cards the joker is the next card off the committed deck, turned face up.
+function announceVariant(room) {
+    room.jokerRank = null;
+    room.jokerCard = null;
+
+    if (room.variant === 'joker') {
+        if (room.deal && room.deal.deck.length > 0) {
+            room.jokerCard = room.deal.deck.shift();
+            room.jokerRank = room.jokerCard.rank;
+        } else {
+            room.jokerRank = CARD_RANKS[drawRandom(() => crypto.randomInt(CARD_RANKS.length))];
+        }
+    }
+
+    addToGameLog(room, `Round ${room.round} variant: ${VARIANTS[room.variant]}${room.jokerRank ? ` (${room.jokerRank}s are wild)` : ''}`, {
+        type: 'round'
+    });
+}
+
+// Helper function to deal three cards to every player in the round (digital cards mode only).
+// Hands are kept private; a player only receives theirs once they choose to see it.
+// The shuffle is committed to before dealing and the previous round's seed is revealed first.
+function dealCards(room) {
+    if (!room.digitalCards) return;
+
+    revealDeal(room);
+
+    const seed = drawRandom(() => crypto.randomBytes(32).toString('hex'));
+    const deck = shuffleDeck(seed);
+    const commitment = commitDeck(seed, deck);
+
+    room.dealNumber++;
+    room.dealCommitment = commitment;
+    room.deal = {
+        dealNumber: room.dealNumber,
+        round: room.round,
+        seed: seed,
+        commitment: commitment,
+        shuffledDeck: deck.slice(),
+        deck: deck,
+        hands: {}
+    };
+
+    addToGameLog(room, `🔒 Deck commitment for round ${room.round}: ${commitment.slice(0, 16)}…`, { type: 'cards' });
+
+    room.players.filter(p => !p.packed).forEach(p => {
+        room.deal.hands[p.id] = room.deal.deck.splice(0, CARDS_PER_HAND);
+    });
+
+    addToGameLog(room, `Cards dealt to ${Object.keys(room.deal.hands).length} players`, { type: 'cards' });
+
+    emitLive(room.code, 'cardsDealt', {
+        success: true,
+        dealNumber: room.dealNumber,
+        round: room.round,
+        commitment: commitment
+    });
+}
+
+// Helper function to publish the seed and deck order of the finished deal so it can be verified
+function revealDeal(room) {
+    const deal = room.deal;
+    if (!deal) return;
+
+    room.dealProofs.push({
+        dealNumber: deal.dealNumber,
+        round: deal.round,
+        commitment: deal.commitment,
+        seed: deal.seed,
+        deck: deal.shuffledDeck
+    });
+
+    if (room.dealProofs.length > MAX_DEAL_PROOFS) {
+        room.dealProofs.shift();
+    }
+
+    room.deal = null;
+    room.dealCommitment = null;
+    addToGameLog(room, `🔓 Shuffle seed for round ${deal.round} revealed`, { type: 'cards' });
+}
+
+// Helper function to deal a hand to a player who joins mid-round from what is left of the deck
+function dealToLatecomer(room, player) {
+    if (!room.digitalCards || !room.deal || room.deal.hands[player.id]) return;
+
+    if (room.deal.deck.length < CARDS_PER_HAND) {
+        addToGameLog(room, `Not enough cards left to deal ${player.name} in; they join next round`, {
+            type: 'cards', targetId: player.id
+        });
+        return;
+    }
+
+    room.deal.hands[player.id] = room.deal.deck.splice(0, CARDS_PER_HAND);
+    addToGameLog(room, `Cards dealt to ${player.name}`, { type: 'cards', targetId: player.id });
+}
+
+// Helper function to send a player their own hand, and only to their socket
+function sendHand(room, player) {
+    const hand = getOwnHand(room, player);
+    if (!hand || !player.socketId) return;
+
+    emitLive(player.socketId, 'yourCards', { success: true, ...hand });
+}
+
+// Helper function to get the hand a player was dealt, once they have seen it
+function getOwnHand(room, player) {
+    if (!room.digitalCards || !room.deal || !room.deal.hands[player.id] || !player.seen) return null;
+
+    return {
+        dealNumber: room.dealNumber,
+        round: room.round,
+        cards: room.deal.hands[player.id]
+    };
+}
+
+// Helper function to collect the boot (ante) from every non-packed player
+function collectBoot(room) {
+    if (!room.bootAmount) return;
+
+    room.players.forEach(p => {
+        if (!p.packed) payBoot(room, p);
+    });
+}
+
+// Helper function to take the boot from one player, who sits out the round if they can't cover it
+function payBoot(room, player) {
+    if (player.balance < room.bootAmount) {
+        player.packed = true;
+        player.sittingOut = true;
+        addToGameLog(room, `${player.name} sits out this round (cannot cover ₹${room.bootAmount} boot)`, {
+            type: 'boot', actorId: player.id
+        });
+        return;
+    }
+
+    addToPool(room, player, room.bootAmount);
+    addToGameLog(room, `${player.name} paid ₹${room.bootAmount} boot`, { type: 'boot', actorId: player.id, amount: room.bootAmount });
+}
+
+// Helper function to bring a player who joins mid-round into it. Until betting gets going they pay
+// the boot and are dealt in; the opening round's boot waits for a second player, so the creator
+// pays theirs then too. Once two or more players are betting, a newcomer sits out until next round.
+function seatLatecomer(room, player) {
+    const inRound = room.players.filter(p => p !== player && !p.packed);
+    if (room.totalBids > 0 && inRound.length >= 2) {
+        player.packed = true;
+        player.sittingOut = true;
+        addToGameLog(room, `${player.name} sits out until the next round`, { type: 'room', actorId: player.id });
+        return;
+    }
+
+    if (room.bootAmount && inRound.length >= 1) {
+        [...inRound, player]
+            .filter(p => p.contributed === 0)
+            .forEach(p => payBoot(room, p));
+    }
+
+    if (!player.packed) {
+        dealToLatecomer(room, player);
+    }
+}
+
+// Helper function to find the side show partner: the previous active player, who must be seen
+function findSideShowTarget(room, requesterIndex) {
+    const totalPlayers = room.players.length;
+
+    for (let i = 1; i < totalPlayers; i++) {
+        const candidate = room.players[(requesterIndex - i + totalPlayers) % totalPlayers];
+        if (!candidate.packed) {
+            return candidate.seen ? candidate : null;
+        }
+    }
+
+    return null;
+}
+
+function clearSideShowTimer(roomCode) {
+    if (replaying) return;
+
+    const timer = sideShowTimers.get(roomCode);
+    if (timer) {
+        clearTimeout(timer);
+        sideShowTimers.delete(roomCode);
+    }
+}
+
+// Helper function to drop a pending side show (optionally only if it involves the given player)
+function cancelSideShow(room, playerId) {
+    const sideShow = room.pendingSideShow;
+    if (!sideShow) return;
+    if (playerId && sideShow.requesterId !== playerId && sideShow.targetId !== playerId) return;
+
+    clearSideShowTimer(room.code);
+    room.pendingSideShow = null;
+    addToGameLog(room, 'Side show cancelled', { type: 'sideShow' });
+}
+
+// Helper function to force a show among all remaining players once the pot limit is reached,
+// or once fewer than two of them can still bet (everyone else is all-in)
+function checkForcedShow(room) {
+    if (room.pendingShow) return false;
+
+    const activePlayers = room.players.filter(p => !p.packed);
+    if (activePlayers.length < 2) return false;
+
+    // The last player still betting first gets to answer an all-in bigger than their own stake
+    const bettingPlayers = activePlayers.filter(canTakeTurn);
+    const owesAnswer = bettingPlayers.length === 1 &&
+        activePlayers.some(p => p.contributed > bettingPlayers[0].contributed);
+
+    const limitReached = !!room.potLimit && room.pool >= room.potLimit;
+    const bettingClosed = bettingPlayers.length < 2 && !owesAnswer;
+    if (!limitReached && !bettingClosed) return false;
+
+    const reason = limitReached ? 'potLimit' : 'allIn';
+    room.pendingShow = {
+        requesterId: null,
+        playerIds: activePlayers.map(p => p.id),
+        amount: 0,
+        forced: true,
+        reason: reason,
+        proposedWinnerId: null,
+        proposedBy: null
+    };
+
+    const names = activePlayers.map(p => p.name).join(', ');
+    addToGameLog(room, limitReached
+        ? `Pot limit of ₹${room.potLimit} reached. Forced show between ${names}`
+        : `No one left to bet against. Forced show between ${names}`, {
+        type: 'show', amount: room.pool
+    });
+
+    emitLive(room.code, 'showRequested', {
+        success: true,
+        forced: true,
+        reason: reason,
+        players: activePlayers.map(p => p.name),
+        room: room
+    });
+
+    if (hasDealtHands(room, activePlayers)) {
+        resolveShowByCards(room);
+    }
+
+    return true;
+}
+
+// Helper function to check if the server holds a dealt hand for every given player
+function hasDealtHands(room, players) {
+    return room.digitalCards && !!room.deal && players.every(p => room.deal.hands[p.id]);
+}
+
+// Helper function to evaluate the dealt hands of the given players for a showdown
+function getShowdownEntries(room, players) {
+    return players.map(p => ({
+        player: p,
+        cards: room.deal.hands[p.id],
+        hand: evaluateHand(room.deal.hands[p.id], { variant: room.variant, jokerRank: room.jokerRank })
+    }));
+}
+
+// Helper function to describe showdown entries for the result modal
+function describeShowdown(entries, winners) {
+    return entries.map(entry => ({
+        id: entry.player.id,
+        name: entry.player.name,
+        cards: entry.cards,
+        hand: entry.hand.description,
+        won: winners.includes(entry.player)
+    }));
+}
+
+// Helper function to settle the pending show by comparing dealt hands. Each pot goes to the
+// best hand among the players who may win it; exact ties split it.
+function resolveShowByCards(room) {
+    const showPlayers = room.players.filter(p => room.pendingShow.playerIds.includes(p.id));
+    const entries = getShowdownEntries(room, showPlayers);
+    const potWinners = buildPots(room).map(pot => ({
+        pot: pot,
+        winners: findBestHands(entries.filter(entry => pot.eligibleIds.includes(entry.player.id)), room.variant)
+            .map(entry => entry.player)
+    }));
+    // Taking back an unmatched bet is not a win
+    const potWinnerPlayers = [...new Set(potWinners
+        .filter(entry => !entry.pot.unmatched)
+        .flatMap(entry => entry.winners))];
+    const mainWinner = potWinners[0].winners[0];
+
+    addToGameLog(room, `🃏 Show: ${entries.map(e => `${e.player.name} (${e.hand.description})`).join(' vs ')}`, { type: 'show' });
+
+    // Reveal the compared hands to the table
+    emitLive(room.code, 'showdown', {
+        success: true,
+        type: 'show',
+        players: describeShowdown(entries, potWinnerPlayers),
+        amount: room.pool,
+        round: room.round
+    });
+
+    const totalAmount = room.pool;
+    const winners = payoutPots(room, potWinners, `(${entries.find(e => e.player === mainWinner).hand.description})`);
+
+    emitLive(room.code, 'winnerDeclared', {
+        success: true,
+        winners: winners,
+        amount: totalAmount,
+        declaredBy: 'System (Show)',
+        showdown: true,
+        summary: getLastRoundSummary(room),
+        room: room
+    });
+}
+
+// Helper function to settle an accepted side show by comparing dealt hands.
+// On an exact tie the player who asked for the side show packs.
+function resolveSideShowByCards(room, requester, target) {
+    const entries = getShowdownEntries(room, [requester, target]);
+    const requesterWins = compareHands(entries[0].hand, entries[1].hand, room.variant) > 0;
+    const winner = requesterWins ? requester : target;
+    const loser = requesterWins ? target : requester;
+
+    // Side show hands are only revealed to the two players involved
+    const showdown = {
+        success: true,
+        type: 'sideShow',
+        players: describeShowdown(entries, [winner]),
+        round: room.round
+    };
+    [requester, target].forEach(p => {
+        if (p.socketId) {
+            emitLive(p.socketId, 'showdown', showdown);
+        }
+    });
+
+    settleSideShow(room, winner, loser, 'System (Cards)', 'cards compared');
+}
+
+// Helper function to pack the loser of a side show and pass the turn on
+function settleSideShow(room, winner, loser, recordedBy, note) {
+    room.pendingSideShow = null;
+    markPacked(room, loser);
+    refreshPots(room);
+    addToGameLog(room, `${winner.name} won the side show, ${loser.name} packed (${note})`, {
+        type: 'sideShow', actorId: winner.id, targetId: loser.id
+    });
+
+    moveToNextActivePlayer(room);
+    checkForcedShow(room);
+
+    emitLive(room.code, 'sideShowResolved', {
+        success: true,
+        accepted: true,
+        winner: winner.name,
+        loser: loser.name,
+        recordedBy: recordedBy,
+        room: room
+    });
+}
+
+// Helper function to drop a pending show (optionally only if it involves the given player)
+function cancelShow(room, playerId) {
+    const show = room.pendingShow;
+    if (!show) return;
+    if (playerId && !show.playerIds.includes(playerId)) return;
+
+    room.pendingShow = null;
+    addToGameLog(room, 'Show cancelled', { type: 'show' });
+}
+
+// Helper function to start the clock on a side show request
+function startSideShowTimer(room) {
+    if (replaying) return;
+
+    sideShowTimers.set(room.code, setTimeout(() => {
+        expireSideShow(room.code);
+    }, SIDE_SHOW_TIMEOUT_MS));
+}
+
+// Helper function to treat an unanswered side show request as declined
+function expireSideShow(roomCode) {
+    sideShowTimers.delete(roomCode);
+
+    const room = rooms.get(roomCode);
+    if (!room || !room.pendingSideShow || room.pendingSideShow.accepted) return;
+
+    commitRoomEvent(room, 'sideShowTimeout', null, {});
+
+    broadcastRoom(room);
+    persistRoom(roomCode);
+}
+
+// Helper function to (re)start the turn clock whenever the turn passes to someone new.
+// The clock is paused while betting is frozen and idle when fewer than two players are in.
+function syncTurnTimer(room) {
+    const player = room.players[room.currentTurn];
+    const running = room.turnTimeLimit > 0 &&
+        player && canTakeTurn(player) &&
+        room.players.filter(p => !p.packed).length >= 2 &&
+        !room.pendingSideShow && !room.pendingShow && !room.pendingUndo && !room.closed;
+
+    if (!running) {
+        clearTurnTimer(room);
+        return;
+    }
+
+    const key = `${room.round}:${room.turnNumber}:${player.id}`;
+    if (room.turnTimer && room.turnTimer.key === key) return;
+
+    clearTurnTimer(room);
+
+    const now = getEventTime().getTime();
+    room.turnTimer = {
+        key: key,
+        playerId: player.id,
+        startedAt: now,
+        expiresAt: now + room.turnTimeLimit * 1000
+    };
+    if (!replaying) {
+        turnTimers.set(room.code, setTimeout(() => expireTurn(room.code, key), room.turnTimeLimit * 1000));
+    }
+}
+
+function clearTurnTimer(room) {
+    const timer = !replaying && turnTimers.get(room.code);
+    if (timer) {
+        clearTimeout(timer);
+        turnTimers.delete(room.code);
+    }
+    room.turnTimer = null;
+}
+
+// Helper function to act for a player whose turn clock ran out: blind players keep
+// playing at the minimum stake if the room allows it, everyone else is packed
+function expireTurn(roomCode, key) {
+    turnTimers.delete(roomCode);
+
+    const room = rooms.get(roomCode);
+    if (!room || !room.turnTimer || room.turnTimer.key !== key) return;
+
+    const player = room.players.find(p => p.id === room.turnTimer.playerId);
+    if (!player) return;
+
+    commitRoomEvent(room, 'turnTimeout', null, { playerId: player.id });
+
+    broadcastRoom(room);
+    persistRoom(roomCode);
+
+    console.log(`${player.name} timed out in room ${roomCode}`);
+}
+
+// Helper function to get the legal bet range for a player at the current stake
+function getBidLimits(room, player) {
+    const multiplier = player.seen ? 2 : 1;
+    return {
+        min: room.currentStake * multiplier,
+        max: room.currentStake * multiplier * 2
+    };
+}
 
 // Helper function to move to next active (non-packed) player
 function moveToNextActivePlayer(room) {
@@ -714,13 +3702,15 @@ function moveToNextActivePlayer(room) {
     // Move to next player
     room.currentTurn = (room.currentTurn + 1) % totalPlayers;
     
-    // Keep moving until we find an active player or check all players
-    while (room.players[room.currentTurn].packed && attempts < totalPlayers) {
+    room.turnNumber++;
+
+    // Keep moving until we find an active player or check all players (all-in players don't act)
+    while (!canTakeTurn(room.players[room.currentTurn]) && attempts < totalPlayers) {
         room.currentTurn = (room.currentTurn + 1) % totalPlayers;
         attempts++;
     }
     
-    // If all players are packed (shouldn't happen due to winner logic), reset to first active player
+    // If nobody can act (shouldn't happen due to winner logic), reset to first active player
     if (attempts >= totalPlayers) {
         for (let i = 0; i < totalPlayers; i++) {
             if (!room.players[i].packed) {
@@ -736,12 +3726,12 @@ function ensureActiveTurn(room) {
     if (!room || room.players.length === 0) return;
     
     const currentPlayer = room.players[room.currentTurn];
-    if (currentPlayer && currentPlayer.packed) {
-        // If current player is packed, move to next active player
+    if (currentPlayer && !canTakeTurn(currentPlayer)) {
+        // If current player is packed or all-in, move to next active player
         let attempts = 0;
         const totalPlayers = room.players.length;
         
-        while (room.players[room.currentTurn].packed && attempts < totalPlayers) {
+        while (!canTakeTurn(room.players[room.currentTurn]) && attempts < totalPlayers) {
             room.currentTurn = (room.currentTurn + 1) % totalPlayers;
             attempts++;
         }
@@ -764,6 +3754,8 @@ app.get('/', (req, res) => {
 });
 
 // Start server
+restoreRooms();
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
     console.log(`Teen Patti Pool server running on port ${PORT}`);
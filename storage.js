@@ -0,0 +1,115 @@
+// Pluggable room storage so live tables survive a server restart.
+//
+// Backends: 'json' keeps one file per room in a directory, 'sqlite' keeps one row
+// per room in a database file (built-in node:sqlite, Node.js 22.5 or newer) and
+// 'memory' keeps nothing. Every backend stores the same plain JSON snapshots.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+function createJsonFileStorage(directory) {
+    fs.mkdirSync(directory, { recursive: true });
+    const fileFor = code => path.join(directory, `${code}.json`);
+
+    return {
+        name: 'json',
+
+        loadAll() {
+            return fs.readdirSync(directory)
+                .filter(file => file.endsWith('.json'))
+                .map(file => {
+                    try {
+                        return JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+                    } catch (error) {
+                        console.error(`Skipping unreadable room file ${file}:`, error.message);
+                        return null;
+                    }
+                })
+                .filter(Boolean);
+        },
+
+        // Write to a temp file first so a crash mid-write never leaves a half-written room
+        save(code, snapshot) {
+            const file = fileFor(code);
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot));
+            fs.renameSync(`${file}.tmp`, file);
+        },
+
+        remove(code) {
+            fs.rmSync(fileFor(code), { force: true });
+        }
+    };
+}
+
+function createSqliteStorage(file) {
+    let DatabaseSync;
+    try {
+        ({ DatabaseSync } = require('node:sqlite'));
+    } catch (error) {
+        throw new Error('SQLite storage needs Node.js 22.5 or newer (node:sqlite)');
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new DatabaseSync(file);
+    db.exec('CREATE TABLE IF NOT EXISTS rooms (code TEXT PRIMARY KEY, snapshot TEXT NOT NULL, updated_at TEXT NOT NULL)');
+
+    const upsert = db.prepare(
+        'INSERT INTO rooms (code, snapshot, updated_at) VALUES (?, ?, ?) ' +
+        'ON CONFLICT(code) DO UPDATE SET snapshot = excluded.snapshot, updated_at = excluded.updated_at'
+    );
+    const deleteRoom = db.prepare('DELETE FROM rooms WHERE code = ?');
+    const selectAll = db.prepare('SELECT code, snapshot FROM rooms');
+
+    return {
+        name: 'sqlite',
+
+        loadAll() {
+            return selectAll.all()
+                .map(row => {
+                    try {
+                        return JSON.parse(row.snapshot);
+                    } catch (error) {
+                        console.error(`Skipping unreadable room ${row.code}:`, error.message);
+                        return null;
+                    }
+                })
+                .filter(Boolean);
+        },
+
+        save(code, snapshot) {
+            upsert.run(code, JSON.stringify(snapshot), new Date().toISOString());
+        },
+
+        remove(code) {
+            deleteRoom.run(code);
+        }
+    };
+}
+
+function createMemoryStorage() {
+    return {
+        name: 'memory',
+        loadAll: () => [],
+        save() {},
+        remove() {}
+    };
+}
+
+// Pick a backend: { type: 'json' | 'sqlite' | 'memory', path }
+function createStorage(options = {}) {
+    switch (options.type || 'json') {
+        case 'json':
+            return createJsonFileStorage(options.path || path.join(DEFAULT_DATA_DIR, 'rooms'));
+        case 'sqlite':
+            return createSqliteStorage(options.path || path.join(DEFAULT_DATA_DIR, 'rooms.db'));
+        case 'memory':
+            return createMemoryStorage();
+        default:
+            throw new Error(`Unknown storage type "${options.type}" (use json, sqlite or memory)`);
+    }
+}
+
+module.exports = {
+    createStorage
+};